@@ -0,0 +1,104 @@
+/**
+ * Back in Stock - Email signups for sold-out variants
+ * Signups are posted to the endpoint set in theme settings (an app or app proxy),
+ * and the variants a shopper signed up for are remembered in localStorage so
+ * the form is not offered again
+ */
+
+window.backInStock = {
+  storageKey: 'product:back-in-stock',
+
+  /**
+   * Variants this browser signed up for
+   * @returns {Array} { variantId, subscribedAt } entries
+   */
+  getSubscriptions() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  isSubscribed(variantId) {
+    return this.getSubscriptions().some(subscription => String(subscription.variantId) === String(variantId));
+  },
+
+  remember(variantId) {
+    const subscriptions = this.getSubscriptions().filter(subscription => String(subscription.variantId) !== String(variantId));
+    subscriptions.push({ variantId: Number(variantId), subscribedAt: Date.now() });
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(subscriptions));
+    } catch (error) {
+      console.error('Back in stock storage error:', error);
+    }
+  },
+
+  /**
+   * Check an email address against the contact form email rule
+   * @param {string} email - Email address
+   * @returns {boolean} True when valid
+   */
+  validateEmail(email) {
+    const contactUtils = window.contactUtils;
+    if (!contactUtils) return Boolean(email);
+
+    // The rules are registered when contact utilities initialise
+    if (!contactUtils.cache.validationRules.has('email')) {
+      contactUtils.setupFormValidation();
+    }
+
+    return contactUtils.cache.validationRules.get('email').pattern.test(email);
+  },
+
+  getLocale() {
+    return (window.Shopify && window.Shopify.locale) || document.documentElement.lang || '';
+  },
+
+  /**
+   * Sign up for an email when a variant is back in stock
+   * @param {string} endpoint - Signup URL
+   * @param {Object} signup - email, variantId, productId, consent and locale
+   * @returns {Promise<Object>} Result object
+   */
+  async subscribe(endpoint, signup) {
+    const email = (signup.email || '').trim();
+
+    if (!this.validateEmail(email)) {
+      return { success: false, error: 'invalid_email' };
+    }
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+          email,
+          variant_id: Number(signup.variantId),
+          product_id: Number(signup.productId) || null,
+          locale: signup.locale || this.getLocale(),
+          consent: Boolean(signup.consent)
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      this.remember(signup.variantId);
+      document.dispatchEvent(new CustomEvent('product:back-in-stock-subscribed', {
+        detail: { variantId: Number(signup.variantId) }
+      }));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Back in stock error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
@@ -10,6 +10,10 @@ class CartDrawer extends HTMLElement {
     this.isLoading = false;
     this.cartData = null;
     this.debounceTimer = null;
+    this.inventoryIssues = [];
+    this.pendingAttributes = {};
+    this.attributeTimers = {};
+    this.focusedAttribute = null;
     
     // Bind methods
     this.open = this.open.bind(this);
@@ -24,12 +28,26 @@ class CartDrawer extends HTMLElement {
   async init() {
     // Set up event listeners
     this.setupEventListeners();
-    
+
+    // Re-render whenever the shared cart store changes
+    this.unsubscribeCart = window.cartStore.subscribe((cart) => {
+      this.cartData = cart;
+      this.render();
+    });
+
     // Load initial cart data
     await this.loadCartData();
     
     // Render initial state
     this.render();
+    this.setupAttributeFields();
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribeCart) {
+      this.unsubscribeCart();
+      this.unsubscribeCart = null;
+    }
   }
 
   setupEventListeners() {
@@ -53,9 +71,20 @@ class CartDrawer extends HTMLElement {
     this.addEventListener('change', (e) => {
       if (e.target.hasAttribute('data-cart-quantity-input')) {
         this.handleQuantityChange(e);
+      } else if (e.target.hasAttribute('data-cart-selling-plan')) {
+        this.handleSellingPlanChange(e);
+      } else if (e.target.hasAttribute('data-cart-attribute')) {
+        this.handleAttributeChange(e);
       }
     });
 
+    // Remembered so focus can be put back after the drawer section re-renders
+    this.addEventListener('focusin', (e) => {
+      this.focusedAttribute = e.target.hasAttribute('data-cart-attribute') ? e.target.dataset.cartAttribute : null;
+    });
+
+    document.addEventListener('cart:drawer-rendered', () => this.setupAttributeFields());
+
     // Remove item
     this.addEventListener('click', (e) => {
       if (e.target.closest('[data-cart-remove]')) {
@@ -63,16 +92,29 @@ class CartDrawer extends HTMLElement {
       }
     });
 
-    // Add upsell product
+    // Save for later
     this.addEventListener('click', (e) => {
-      if (e.target.closest('[data-product-id]')) {
-        this.handleUpsellAdd(e);
+      if (e.target.closest('[data-cart-save-for-later]')) {
+        this.handleSaveForLater(e);
+      }
+    });
+
+    // Discount codes
+    this.addEventListener('submit', (e) => {
+      if (e.target.closest('[data-cart-discount-form]')) {
+        this.handleDiscountApply(e);
+      }
+    });
+
+    this.addEventListener('click', (e) => {
+      if (e.target.closest('[data-cart-discount-remove]')) {
+        this.handleDiscountRemove(e);
       }
     });
 
     // Cart note auto-save
     this.addEventListener('input', (e) => {
-      if (e.target.id === 'cart-note') {
+      if (e.target.matches('#cart-note, textarea[name="note"]')) {
         this.handleNoteChange(e);
       }
     });
@@ -81,6 +123,8 @@ class CartDrawer extends HTMLElement {
     this.addEventListener('click', (e) => {
       if (e.target.closest('[data-cart-checkout]')) {
         this.handleCheckout(e);
+      } else if (e.target.closest('[data-cart-inventory-adjust]')) {
+        this.handleInventoryAdjust(e);
       }
     });
 
@@ -99,14 +143,10 @@ class CartDrawer extends HTMLElement {
     });
   }
 
-  async loadCartData() {
-    try {
-      const response = await fetch('/cart.js');
-      if (response.ok) {
-        this.cartData = await response.json();
-      }
-    } catch (error) {
-      console.error('Failed to load cart data:', error);
+  async loadCartData(forceRefresh = false) {
+    const cart = await window.cartUtils.getCartData(forceRefresh);
+    if (cart) {
+      this.cartData = cart;
     }
   }
 
@@ -117,10 +157,8 @@ class CartDrawer extends HTMLElement {
     this.classList.add('cart-drawer--loading');
     
     try {
-      await this.loadCartData();
-      this.render();
-      this.updateCartCount();
-      this.dispatchCartUpdatedEvent();
+      // Subscribers, including this drawer, re-render from the refreshed snapshot
+      await this.loadCartData(true);
     } catch (error) {
       console.error('Failed to update cart:', error);
       this.showError('Failed to update cart. Please try again.');
@@ -131,31 +169,45 @@ class CartDrawer extends HTMLElement {
   }
 
   async handleQuantityIncrease(e) {
-    e.preventDefault();
-    const button = e.target.closest('[data-cart-quantity-increase]');
-    const input = button.parentElement.querySelector('[data-cart-quantity-input]');
-    const line = parseInt(input.dataset.line);
-    const currentQuantity = parseInt(input.value) || 0;
-    const newQuantity = currentQuantity + 1;
-
-    await this.updateCartItem(line, newQuantity);
+    await this.stepLineQuantity(e, e.target.closest('[data-cart-quantity-increase]'), 1);
   }
 
   async handleQuantityDecrease(e) {
+    await this.stepLineQuantity(e, e.target.closest('[data-cart-quantity-decrease]'), -1);
+  }
+
+  /**
+   * Step a line from the quantity in the cart store snapshot, which includes
+   * queued changes the section markup has not caught up with, so rapid clicks add up
+   * The buttons keep their /cart/change href for when JavaScript is unavailable
+   * @param {Event} e - Click event
+   * @param {HTMLElement} button - Quantity button with data-line-key
+   * @param {number} direction - 1 to increase, -1 to decrease
+   */
+  async stepLineQuantity(e, button, direction) {
     e.preventDefault();
-    const button = e.target.closest('[data-cart-quantity-decrease]');
-    const input = button.parentElement.querySelector('[data-cart-quantity-input]');
-    const line = parseInt(input.dataset.line);
-    const currentQuantity = parseInt(input.value) || 0;
-    const newQuantity = Math.max(0, currentQuantity - 1);
 
-    await this.updateCartItem(line, newQuantity);
+    const items = window.cartStore.getSnapshot()?.items || [];
+    const index = items.findIndex(item => item.key === button.dataset.lineKey);
+    if (index === -1) return;
+
+    const item = items[index];
+    const rule = window.cartUtils.getQuantityRule(item.variant_id);
+    // Stepping below the minimum removes the line
+    const quantity = window.cartUtils.stepQuantity(item.quantity, rule, direction, { allowZero: direction < 0 });
+
+    const input = button.parentElement.querySelector('input[data-line]');
+    if (input) input.value = quantity;
+
+    await this.updateCartItem(index + 1, quantity);
   }
 
   async handleQuantityChange(e) {
     const input = e.target;
     const line = parseInt(input.dataset.line);
-    const quantity = parseInt(input.value) || 0;
+    const quantity = window.cartUtils.normalizeQuantity(input.value, this.getLineQuantityRule(line), { allowZero: true });
+
+    if (String(quantity) !== input.value) input.value = quantity;
 
     // Debounce the update
     clearTimeout(this.debounceTimer);
@@ -164,6 +216,16 @@ class CartDrawer extends HTMLElement {
     }, 500);
   }
 
+  /**
+   * Quantity rule for a cart line's variant
+   * @param {number} line - Line item number (1-based)
+   * @returns {Object} Rule from cartUtils.getQuantityRule
+   */
+  getLineQuantityRule(line) {
+    const item = this.cartData && this.cartData.items[line - 1];
+    return window.cartUtils.getQuantityRule(item && item.variant_id);
+  }
+
   async handleRemoveItem(e) {
     e.preventDefault();
     const button = e.target.closest('[data-cart-remove]');
@@ -174,140 +236,423 @@ class CartDrawer extends HTMLElement {
     button.disabled = true;
     button.innerHTML = '<span class="loading-spinner"></span>';
 
-    try {
-      await this.updateCartItem(line, 0);
-    } catch (error) {
+    const result = await this.updateCartItem(line, 0);
+
+    if (!result.success) {
       button.disabled = false;
       button.innerHTML = originalContent;
-      this.showError('Failed to remove item. Please try again.');
     }
   }
 
-  async handleUpsellAdd(e) {
+  async handleSaveForLater(e) {
     e.preventDefault();
-    const button = e.target.closest('[data-product-id]');
-    const productId = button.dataset.productId;
-    
-    // Show loading state
-    const originalText = button.textContent;
+    const button = e.target.closest('[data-cart-save-for-later]');
+
     button.disabled = true;
-    button.textContent = 'Adding...';
 
-    try {
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          id: productId,
-          quantity: 1
-        })
-      });
+    const result = await window.savedForLater.saveCartLine(button.dataset.lineKey);
 
-      if (response.ok) {
-        button.textContent = 'Added!';
-        setTimeout(() => {
-          button.disabled = false;
-          button.textContent = originalText;
-        }, 1500);
-        
-        await this.updateCart();
-      } else {
-        throw new Error('Failed to add product');
-      }
-    } catch (error) {
+    if (!result.success) {
       button.disabled = false;
-      button.textContent = 'Try Again';
-      setTimeout(() => {
-        button.textContent = originalText;
-      }, 2000);
-      this.showError('Failed to add product. Please try again.');
+      this.showError(result.error || 'Failed to save item. Please try again.');
+    }
+  }
+
+  async handleSellingPlanChange(e) {
+    const select = e.target;
+    const previousValue = select.querySelector('option[selected]')?.value ?? '';
+
+    select.disabled = true;
+
+    const result = await window.cartUtils.updateCartItemSellingPlan(select.dataset.lineKey, select.value || null);
+
+    select.disabled = false;
+
+    if (!result.success) {
+      select.value = previousValue;
+      this.showError(result.error || 'Failed to update subscription. Please try again.');
+    }
+  }
+
+  async handleDiscountApply(e) {
+    e.preventDefault();
+    const form = e.target.closest('[data-cart-discount-form]');
+    const input = form.querySelector('[data-cart-discount-input]');
+    const button = form.querySelector('[type="submit"]');
+    const strings = this.getDiscountStrings();
+
+    this.setDiscountError('');
+    button.disabled = true;
+    form.setAttribute('aria-busy', 'true');
+
+    const result = await window.cartUtils.applyDiscountCode(input.value);
+
+    button.disabled = false;
+    form.removeAttribute('aria-busy');
+
+    if (result.success) {
+      input.value = '';
+    } else {
+      this.setDiscountError(strings[result.reason] || result.error);
+      input.focus();
+    }
+  }
+
+  async handleDiscountRemove(e) {
+    e.preventDefault();
+    const button = e.target.closest('[data-cart-discount-remove]');
+
+    this.setDiscountError('');
+    button.disabled = true;
+
+    const result = await window.cartUtils.removeDiscountCode(button.dataset.code);
+
+    if (!result.success) {
+      button.disabled = false;
+      this.setDiscountError(this.getDiscountStrings().error || result.error);
+    }
+  }
+
+  getDiscountStrings() {
+    if (!this.discountStrings) {
+      const stringsElement = this.querySelector('[data-cart-discount-strings]');
+      this.discountStrings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+    }
+    return this.discountStrings;
+  }
+
+  setDiscountError(message) {
+    const errorElement = this.querySelector('[data-cart-discount-error]');
+    const input = this.querySelector('[data-cart-discount-input]');
+    if (!errorElement) return;
+
+    errorElement.textContent = message;
+    errorElement.hidden = !message;
+
+    if (input) {
+      input.setAttribute('aria-invalid', Boolean(message));
     }
   }
 
   async handleNoteChange(e) {
     const note = e.target.value;
     
-    // Debounce the update
-    clearTimeout(this.debounceTimer);
-    this.debounceTimer = setTimeout(async () => {
-      try {
-        await fetch('/cart/update.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ note })
-        });
-      } catch (error) {
-        console.error('Failed to update cart note:', error);
-      }
+    // Debounce the update on its own timer so a pending quantity change is not cancelled
+    clearTimeout(this.noteTimer);
+    this.noteTimer = setTimeout(() => {
+      window.cartUtils.updateCartNote(note);
     }, 500);
   }
 
+  handleAttributeChange(e) {
+    const field = e.target;
+    const name = field.dataset.cartAttribute;
+    const error = this.validateAttributeField(field);
+
+    clearTimeout(this.attributeTimers[name]);
+
+    // Invalid values stay in the field for the shopper to fix but are not saved
+    if (error) {
+      delete this.pendingAttributes[name];
+      return;
+    }
+
+    this.pendingAttributes[name] = this.getAttributeValue(field);
+    this.attributeTimers[name] = setTimeout(() => this.saveCartAttributes([name]), 500);
+  }
+
+  /**
+   * Save attribute changes that are still waiting for their debounce
+   * @param {Array} names - Attribute names, defaults to every pending attribute
+   * @returns {Promise<Object>} Result object
+   */
+  async saveCartAttributes(names = Object.keys(this.pendingAttributes)) {
+    const attributes = {};
+
+    names.forEach(name => {
+      clearTimeout(this.attributeTimers[name]);
+      if (name in this.pendingAttributes) attributes[name] = this.pendingAttributes[name];
+    });
+
+    if (Object.keys(attributes).length === 0) return { success: true };
+
+    const result = await window.cartUtils.updateCartAttributes(attributes);
+
+    if (result.success) {
+      // A newer value typed while saving stays pending
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (this.pendingAttributes[name] === value) delete this.pendingAttributes[name];
+      });
+    } else {
+      this.showError(this.getAttributeStrings().error || result.error);
+    }
+
+    return result;
+  }
+
+  getAttributeFields() {
+    return Array.from(this.querySelectorAll('[data-cart-attribute]'));
+  }
+
+  getAttributeValue(field) {
+    if (field.type === 'checkbox') return field.checked ? field.value : '';
+    return field.value.trim();
+  }
+
+  getAttributeStrings() {
+    if (!this.attributeStrings) {
+      const stringsElement = this.querySelector('[data-cart-attribute-strings]');
+      this.attributeStrings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+    }
+    return this.attributeStrings;
+  }
+
+  /**
+   * Delivery rules from a date field's data attributes
+   * @param {HTMLInputElement} field - Delivery date input
+   * @returns {Object} Rules for cartUtils.validateDeliveryDate
+   */
+  getDeliveryRules(field) {
+    const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const split = value => (value || '').split(/[\s,]+/).filter(Boolean);
+
+    return {
+      leadTime: parseInt(field.dataset.leadTime, 10) || 0,
+      maxDays: parseInt(field.dataset.maxDays, 10) || 0,
+      blackoutWeekdays: split(field.dataset.blackoutWeekdays)
+        .map(day => weekdays.indexOf(day.slice(0, 3).toLowerCase()))
+        .filter(day => day >= 0),
+      blackoutDates: split(field.dataset.blackoutDates)
+    };
+  }
+
+  /**
+   * Check one attribute field and show or clear its error
+   * @param {HTMLElement} field - Attribute input or select
+   * @returns {string} Error message, empty when valid
+   */
+  validateAttributeField(field) {
+    const strings = this.getAttributeStrings();
+    const value = this.getAttributeValue(field);
+    let error = '';
+
+    if (!value) {
+      error = field.required ? strings.required : '';
+    } else if (field.type === 'date') {
+      const rules = this.getDeliveryRules(field);
+      const result = window.cartUtils.validateDeliveryDate(value, rules);
+
+      if (!result.valid) {
+        const today = new Date();
+        const date = result.reason === 'too_late'
+          ? new Date(today.getFullYear(), today.getMonth(), today.getDate() + rules.maxDays)
+          : this.parseDateValue(window.cartUtils.getEarliestDeliveryDate(rules));
+
+        error = (strings[result.reason] || strings.invalid || '').replace('{{ date }}', date ? this.formatDate(date) : '');
+      }
+    }
+
+    this.setAttributeError(field, error);
+    return error;
+  }
+
+  /**
+   * Validate every attribute field
+   * @returns {HTMLElement|null} First invalid field
+   */
+  validateAttributeFields() {
+    return this.getAttributeFields().filter(field => this.validateAttributeField(field)).shift() || null;
+  }
+
+  setAttributeError(field, message) {
+    const errorElement = field.closest('.cart-attribute')?.querySelector('[data-cart-attribute-error]');
+
+    field.setAttribute('aria-invalid', Boolean(message));
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.hidden = !message;
+    }
+  }
+
+  /**
+   * Prepare attribute fields after the drawer section renders: move the date
+   * minimum past blackout days and put back values that are not saved yet
+   */
+  setupAttributeFields() {
+    this.getAttributeFields().forEach(field => {
+      const name = field.dataset.cartAttribute;
+
+      if (field.type === 'date') {
+        const earliest = window.cartUtils.getEarliestDeliveryDate(this.getDeliveryRules(field));
+        if (earliest) field.min = earliest;
+      }
+
+      if (name in this.pendingAttributes) {
+        if (field.type === 'checkbox') {
+          field.checked = this.pendingAttributes[name] !== '';
+        } else {
+          field.value = this.pendingAttributes[name];
+        }
+      }
+
+      if (name === this.focusedAttribute && (document.activeElement === document.body || !document.activeElement)) {
+        field.focus();
+      }
+    });
+  }
+
+  parseDateValue(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  }
+
+  formatDate(date) {
+    return date.toLocaleDateString(document.documentElement.lang || undefined, { day: 'numeric', month: 'long' });
+  }
+
   async handleCheckout(e) {
     e.preventDefault();
-    
-    // Show loading state
+
     const button = e.target.closest('[data-cart-checkout]');
-    const originalText = button.textContent;
     button.disabled = true;
-    button.textContent = 'Redirecting...';
+    button.setAttribute('aria-busy', 'true');
+    this.clearInventoryIssues();
+
+    // Only leaving for checkout or waiting on flagged lines keeps the button disabled
+    let keepDisabled = false;
 
     try {
-      // Redirect to checkout
+      // Delivery date and other attributes have to be valid and saved before checkout reads the cart
+      const invalidField = this.validateAttributeFields();
+      if (invalidField) {
+        invalidField.focus();
+        return;
+      }
+
+      const attributesSaved = await this.saveCartAttributes();
+      if (!attributesSaved.success) return;
+
+      let validation;
+      try {
+        validation = await window.cartUtils.validateCartInventory();
+      } catch (error) {
+        // Shopify checks stock again at checkout, so a failed check should not strand the shopper
+        console.error('Inventory validation error:', error);
+        validation = { valid: true, issues: [] };
+      }
+
+      keepDisabled = true;
+
+      if (!validation.valid) {
+        // Checkout stays disabled until the flagged lines are adjusted
+        this.showInventoryIssues(validation.issues);
+        return;
+      }
+
       window.location.href = '/checkout';
     } catch (error) {
+      console.error('Checkout error:', error);
+      this.showError(this.getAttributeStrings().error || 'Failed to update cart. Please try again.');
+    } finally {
+      button.removeAttribute('aria-busy');
+      if (!keepDisabled) button.disabled = false;
+    }
+  }
+
+  async handleInventoryAdjust(e) {
+    e.preventDefault();
+    const button = e.target.closest('[data-cart-inventory-adjust]');
+
+    button.disabled = true;
+    const result = await window.cartUtils.resolveInventoryIssues(this.inventoryIssues);
+
+    if (!result.success) {
       button.disabled = false;
-      button.textContent = originalText;
-      this.showError('Failed to proceed to checkout. Please try again.');
+      this.setInventoryAlert(this.getInventoryStrings().error || result.error);
+      return;
     }
+
+    this.clearInventoryIssues();
   }
 
-  async updateCartItem(line, quantity) {
-    try {
-      const response = await fetch('/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          line: line,
-          quantity: quantity
-        })
-      });
+  getInventoryStrings() {
+    if (!this.inventoryStrings) {
+      const stringsElement = this.querySelector('[data-cart-inventory-strings]');
+      this.inventoryStrings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+    }
+    return this.inventoryStrings;
+  }
+
+  setInventoryAlert(message) {
+    const alert = this.querySelector('[data-cart-inventory-alert]');
+    if (!alert) return;
 
-      if (response.ok) {
-        await this.updateCart();
-      } else {
-        throw new Error('Failed to update cart item');
+    alert.querySelector('[data-cart-inventory-alert-text]').textContent = message;
+    alert.hidden = !message;
+  }
+
+  /**
+   * Flag out of stock lines inline and block checkout until they are adjusted
+   * @param {Array} issues - Issues from cartUtils.validateCartInventory
+   */
+  showInventoryIssues(issues) {
+    const strings = this.getInventoryStrings();
+    this.inventoryIssues = issues;
+
+    issues.forEach(issue => {
+      const lineElement = this.querySelector(`[data-cart-item-key="${CSS.escape(issue.key)}"]`);
+      const messageElement = lineElement && lineElement.querySelector('[data-line-inventory-error]');
+      if (!messageElement) return;
+
+      messageElement.textContent = issue.type === 'sold_out'
+        ? strings.sold_out
+        : (strings.insufficient || '').replace(/{{\s*available\s*}}/g, issue.available);
+      messageElement.hidden = false;
+
+      const quantityInput = lineElement.querySelector('input[data-line]');
+      if (quantityInput) {
+        quantityInput.setAttribute('aria-invalid', 'true');
+        quantityInput.setAttribute('aria-describedby', messageElement.id);
       }
-    } catch (error) {
-      console.error('Failed to update cart item:', error);
-      this.showError('Failed to update item. Please try again.');
+    });
+
+    this.setInventoryAlert(strings.summary);
+
+    const adjustButton = this.querySelector('[data-cart-inventory-adjust]');
+    if (adjustButton) {
+      adjustButton.disabled = false;
+      adjustButton.focus();
     }
   }
 
-  updateCartCount() {
-    if (!this.cartData) return;
-    
-    const count = this.cartData.item_count;
-    const cartCountElements = document.querySelectorAll('.cart-count, [data-cart-count], .header__cart-count');
-    
-    cartCountElements.forEach(element => {
-      element.textContent = count;
-      element.style.display = count > 0 ? 'block' : 'none';
+  clearInventoryIssues() {
+    this.inventoryIssues = [];
+
+    this.querySelectorAll('[data-line-inventory-error]').forEach(messageElement => {
+      messageElement.hidden = true;
+      messageElement.textContent = '';
+    });
+
+    this.querySelectorAll('input[data-line][aria-invalid]').forEach(input => {
+      input.removeAttribute('aria-invalid');
+      input.removeAttribute('aria-describedby');
+    });
+
+    this.setInventoryAlert('');
+    this.querySelectorAll('[data-cart-checkout]').forEach(button => {
+      button.disabled = false;
     });
   }
 
-  dispatchCartUpdatedEvent() {
-    document.dispatchEvent(new CustomEvent('cart:updated', {
-      detail: { 
-        item_count: this.cartData?.item_count || 0,
-        cart: this.cartData 
-      }
-    }));
+  async updateCartItem(line, quantity) {
+    const result = await window.cartUtils.updateCartItem(line, quantity);
+
+    // The cart store has already rolled the line back; explain why
+    if (!result.success) {
+      this.showError(result.error || 'Failed to update item. Please try again.');
+    }
+
+    return result;
   }
 
   showError(message) {
@@ -324,151 +669,59 @@ class CartDrawer extends HTMLElement {
   render() {
     if (!this.cartData) return;
 
-    // Update cart count
-    this.updateCartCount();
-
-    // Update cart items
-    this.updateCartItems();
-    
-    // Update cart summary
-    this.updateCartSummary();
-    
-    // Update free shipping bar
-    this.updateFreeShippingBar();
-  }
+    // Line items, totals and the rewards bar come from the cart-drawer section,
+    // which assets/cart.js reloads after each change
 
-  updateCartItems() {
-    const itemsContainer = this.querySelector('.cart-drawer__items');
-    if (!itemsContainer) return;
+    // Update discount codes and cart-level discounts
+    this.updateDiscounts();
 
-    if (this.cartData.items.length === 0) {
-      itemsContainer.innerHTML = this.renderEmptyCart();
-      return;
+    // Stock issues describe the previous cart; checkout checks again
+    if (this.inventoryIssues.length > 0) {
+      this.clearInventoryIssues();
     }
-
-    itemsContainer.innerHTML = this.cartData.items.map((item, index) => 
-      this.renderCartItem(item, index + 1)
-    ).join('');
   }
 
-  updateCartSummary() {
-    const subtotalElement = this.querySelector('.cart-drawer__subtotal-amount');
-    const totalElement = this.querySelector('.cart-drawer__total-amount');
-    
-    if (subtotalElement) {
-      subtotalElement.textContent = this.formatMoney(this.cartData.total_price);
-    }
-    
-    if (totalElement) {
-      totalElement.textContent = this.formatMoney(this.cartData.total_price);
-    }
-  }
+  updateDiscounts() {
+    const codesContainer = this.querySelector('[data-cart-discount-codes]');
+    const applicationsContainer = this.querySelector('[data-cart-discount-applications]');
+    const strings = this.getDiscountStrings();
+    const escape = window.cartUtils.escapeHtml;
 
-  updateFreeShippingBar() {
-    const shippingBar = this.querySelector('.cart-drawer__shipping-bar');
-    if (!shippingBar) return;
+    if (codesContainer) {
+      const codes = window.cartUtils.getDiscountCodes(this.cartData);
 
-    const threshold = parseInt(this.dataset.threshold) || 7500;
-    const remaining = threshold - this.cartData.total_price;
-    
-    if (remaining > 0) {
-      const progressPercentage = (this.cartData.total_price / threshold) * 100;
-      const progressFill = shippingBar.querySelector('.cart-drawer__shipping-bar-fill');
-      const progressText = shippingBar.querySelector('.cart-drawer__shipping-text');
-      
-      if (progressFill) {
-        progressFill.style.width = `${Math.min(progressPercentage, 100)}%`;
-      }
-      
-      if (progressText) {
-        progressText.textContent = `Add ${this.formatMoney(remaining)} more for free shipping`;
-      }
+      codesContainer.hidden = codes.length === 0;
+      codesContainer.innerHTML = codes.map(({ code, applicable }) => `
+        <li class="cart-drawer__discount-code${applicable ? '' : ' cart-drawer__discount-code--inapplicable'}">
+          <span class="cart-drawer__discount-code-name">${escape(code)}</span>
+          ${applicable ? '' : `<span class="cart-drawer__discount-code-status">${escape(strings.not_applicable)}</span>`}
+          <button type="button" class="cart-drawer__discount-remove"
+                  data-cart-discount-remove data-code="${escape(code)}"
+                  aria-label="${escape((strings.remove || 'Remove {{ code }}').replace('{{ code }}', () => code))}">
+            <svg viewBox="0 0 24 24" aria-hidden="true"><path fill="currentColor" d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
+          </button>
+        </li>
+      `).join('');
     }
-  }
 
-  renderCartItem(item, line) {
-    return `
-      <div class="cart-drawer__item" data-cart-item-key="${item.key}">
-        <div class="cart-drawer__item-image">
-          ${item.image ? 
-            `<img src="${item.image}" alt="${item.title}" class="cart-drawer__item-img" loading="lazy">` :
-            `<div class="cart-drawer__item-placeholder">
-              <svg class="cart-drawer__placeholder" viewBox="0 0 24 24">
-                <path fill="currentColor" d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>
-              </svg>
-            </div>`
-          }
-        </div>
-        
-        <div class="cart-drawer__item-details">
-          <h3 class="cart-drawer__item-title">
-            <a href="${item.url}" class="cart-drawer__item-link">${item.product_title}</a>
-          </h3>
-          
-          ${item.variant_title !== 'Default Title' ? 
-            `<div class="cart-drawer__item-variant">${item.variant_title}</div>` : ''
-          }
-          
-          <div class="cart-drawer__item-price">
-            ${item.original_price !== item.final_price ? 
-              `<span class="cart-drawer__item-price-original">${this.formatMoney(item.original_price)}</span>
-               <span class="cart-drawer__item-price-final">${this.formatMoney(item.final_price)}</span>` :
-              `<span class="cart-drawer__item-price-regular">${this.formatMoney(item.final_price)}</span>`
-            }
-          </div>
-          
-          <div class="cart-drawer__item-quantity">
-            <div class="cart-drawer__quantity-controls">
-              <button type="button" class="cart-drawer__quantity-btn cart-drawer__quantity-btn--minus" 
-                      data-cart-quantity-decrease data-line="${line}"
-                      aria-label="Decrease quantity">
-                <svg viewBox="0 0 24 24"><path fill="currentColor" d="M19 13H5v-2h14v2z"/></svg>
-              </button>
-              <input type="number" class="cart-drawer__quantity-input" 
-                     value="${item.quantity}" min="0" 
-                     data-cart-quantity-input data-line="${line}">
-              <button type="button" class="cart-drawer__quantity-btn cart-drawer__quantity-btn--plus" 
-                      data-cart-quantity-increase data-line="${line}"
-                      aria-label="Increase quantity">
-                <svg viewBox="0 0 24 24"><path fill="currentColor" d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
-              </button>
-            </div>
-          </div>
-        </div>
-        
-        <div class="cart-drawer__item-actions">
-          <button type="button" class="cart-drawer__remove-btn" 
-                  data-cart-remove data-line="${line}"
-                  aria-label="Remove item">
-            <svg viewBox="0 0 24 24"><path fill="currentColor" d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
-          </button>
-        </div>
-      </div>
-    `;
-  }
+    if (applicationsContainer) {
+      const applications = this.cartData.cart_level_discount_applications || [];
 
-  renderEmptyCart() {
-    return `
-      <div class="cart-drawer__empty">
-        <div class="cart-drawer__empty-icon">
-          <svg viewBox="0 0 24 24">
-            <path fill="currentColor" d="M7 4V2C7 1.45 7.45 1 8 1H16C16.55 1 17 1.45 17 2V4H20C20.55 4 21 4.45 21 5S20.55 6 20 6H19V19C19 20.1 18.1 21 17 21H7C5.9 21 5 20.1 5 19V6H4C3.45 6 3 5.55 3 5S3.45 4 4 4H7M9 3V4H15V3H9M7 6V19H17V6H7Z"/>
-          </svg>
-        </div>
-        <h3 class="cart-drawer__empty-title">Your cart is empty</h3>
-        <p class="cart-drawer__empty-text">Add some items to get started</p>
-        <a href="/collections/all" class="cart-drawer__continue-btn button button--primary">
-          Continue Shopping
-        </a>
-      </div>
-    `;
+      applicationsContainer.innerHTML = applications.length === 0 ? '' : `
+        <ul class="mini-cart__discount-list list--unstyled" role="list">
+          ${applications.map(application => `
+            <li class="mini-cart__discount">
+              <span class="mini-cart__discount-badge discount-badge">${escape(application.title)}</span>
+              <span class="mini-cart__discount-price text--xsmall text--subdued">-${this.formatMoney(application.total_allocated_amount)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+    }
   }
 
   formatMoney(cents) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: this.cartData?.currency || 'USD'
-    }).format(cents / 100);
+    return window.moneyUtils.formatMoney(cents, { currency: this.cartData?.currency });
   }
 
   open() {
@@ -515,8 +768,286 @@ class CartDrawer extends HTMLElement {
   }
 }
 
-// Register the custom element
+/**
+ * Cart Drawer Recommendations
+ * Complementary products for the items in the cart, with a variant picker per card
+ */
+class CartDrawerRecommendations extends HTMLElement {
+  constructor() {
+    super();
+    this.products = [];
+    this.productSignature = null;
+    this.limit = parseInt(this.getAttribute('limit')) || 4;
+    this.intent = this.getAttribute('intent') || 'complementary';
+
+    const stringsElement = this.querySelector('[data-recommendation-strings]');
+    this.strings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+  }
+
+  connectedCallback() {
+    this.addEventListener('click', (e) => {
+      if (e.target.closest('[data-upsell-add]')) {
+        this.handleAdd(e);
+      }
+    });
+
+    this.addEventListener('change', (e) => {
+      if (e.target.hasAttribute('data-upsell-variant')) {
+        this.handleVariantChange(e);
+      }
+    });
+
+    // Recommendations only depend on which products are in the cart
+    this.unsubscribeCart = window.cartStore.subscribe((cart) => {
+      const signature = cart.items.map(item => item.product_id).sort().join(',');
+      if (signature !== this.productSignature) {
+        this.productSignature = signature;
+        this.load(cart);
+      }
+    });
+
+    const cart = window.cartStore.getSnapshot();
+    if (cart) {
+      this.productSignature = cart.items.map(item => item.product_id).sort().join(',');
+      this.load(cart);
+    }
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribeCart) {
+      this.unsubscribeCart();
+      this.unsubscribeCart = null;
+    }
+  }
+
+  async load(cart) {
+    const signature = this.productSignature;
+    this.setAttribute('aria-busy', 'true');
+
+    const products = await window.cartUtils.getCartRecommendations(cart, {
+      intent: this.intent,
+      limit: this.limit
+    });
+
+    // A newer cart superseded this request
+    if (signature !== this.productSignature) return;
+
+    this.products = products;
+    this.removeAttribute('aria-busy');
+    this.render();
+  }
+
+  render() {
+    const list = this.querySelector('[data-recommendations-list]');
+    if (!list) return;
+
+    this.hidden = this.products.length === 0;
+    list.innerHTML = this.products.map(product => this.renderProduct(product)).join('');
+  }
+
+  renderProduct(product) {
+    const variant = this.getDefaultVariant(product);
+    const hasVariants = product.variants.length > 1;
+    const image = variant.featured_image ? variant.featured_image.src : product.featured_image;
+    const escape = window.cartUtils.escapeHtml;
+
+    return `
+      <div class="cart-drawer__upsell" data-upsell-product="${product.id}">
+        ${image ? `
+          <a href="${escape(product.url)}" class="cart-drawer__upsell-image" tabindex="-1">
+            <img src="${escape(this.getSizedImageUrl(image, 184))}" alt="${escape(product.title)}" width="92" height="92" loading="lazy">
+          </a>
+        ` : ''}
+
+        <div class="cart-drawer__upsell-details">
+          <a href="${escape(product.url)}" class="cart-drawer__upsell-title">${escape(product.title)}</a>
+          <span class="cart-drawer__upsell-price" data-upsell-price>${this.formatPrice(variant)}</span>
+
+          ${hasVariants ? `
+            <label class="visually-hidden" for="upsell-variant-${product.id}">${escape(this.strings.variant || 'Variant')}</label>
+            <select id="upsell-variant-${product.id}" class="cart-drawer__upsell-variant" data-upsell-variant>
+              ${product.variants.map(option => `
+                <option value="${option.id}"${option.id === variant.id ? ' selected' : ''}${option.available ? '' : ' disabled'}>
+                  ${escape(option.title)}${option.available ? '' : ` - ${escape(this.strings.soldOut || 'Sold out')}`}
+                </option>
+              `).join('')}
+            </select>
+          ` : ''}
+
+          <button type="button" class="cart-drawer__upsell-add" data-upsell-add data-variant-id="${variant.id}">
+            ${escape(this.strings.add || 'Add')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  getDefaultVariant(product) {
+    return product.variants.find(variant => variant.available) || product.variants[0];
+  }
+
+  handleVariantChange(e) {
+    const card = e.target.closest('[data-upsell-product]');
+    const product = this.products.find(item => item.id === parseInt(card.dataset.upsellProduct));
+    const variant = product && product.variants.find(item => item.id === parseInt(e.target.value));
+    if (!variant) return;
+
+    card.querySelector('[data-upsell-price]').innerHTML = this.formatPrice(variant);
+
+    const button = card.querySelector('[data-upsell-add]');
+    button.dataset.variantId = variant.id;
+    button.disabled = !variant.available;
+  }
+
+  async handleAdd(e) {
+    e.preventDefault();
+    const button = e.target.closest('[data-upsell-add]');
+    const originalText = button.textContent;
+
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+    button.textContent = this.strings.adding || 'Adding...';
+
+    const result = await window.cartUtils.addToCart(button.dataset.variantId, 1);
+
+    button.removeAttribute('aria-busy');
+
+    if (result.success) {
+      // The card disappears once the cart update drops the product from the list
+      button.textContent = this.strings.added || 'Added!';
+      return;
+    }
+
+    button.disabled = false;
+    button.textContent = originalText;
+
+    const drawer = this.closest('cart-drawer');
+    if (drawer) {
+      drawer.showError(result.error || this.strings.error);
+    }
+  }
+
+  formatPrice(variant) {
+    const format = (cents) => window.moneyUtils.formatMoney(cents);
+
+    if (variant.compare_at_price > variant.price) {
+      return `<s class="cart-drawer__upsell-compare-price">${format(variant.compare_at_price)}</s> ${format(variant.price)}`;
+    }
+
+    return format(variant.price);
+  }
+
+  getSizedImageUrl(src, width) {
+    return `${src}${src.includes('?') ? '&' : '?'}width=${width}`;
+  }
+}
+
+/**
+ * Cart Saved Items
+ * Saved-for-later list rendered under the cart items
+ */
+class CartSavedItems extends HTMLElement {
+  constructor() {
+    super();
+    this.errors = {};
+
+    const stringsElement = this.querySelector('[data-saved-strings]');
+    this.strings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+
+    this.addEventListener('click', (e) => {
+      if (e.target.closest('[data-saved-move]')) {
+        this.handleMove(e);
+      } else if (e.target.closest('[data-saved-remove]')) {
+        this.handleRemove(e);
+      }
+    });
+  }
+
+  connectedCallback() {
+    this.unsubscribe = window.savedForLater.subscribe(() => this.render());
+    this.render();
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  render() {
+    const items = window.savedForLater.getItems();
+    const list = this.querySelector('[data-saved-list]');
+    const count = this.querySelector('[data-saved-count]');
+
+    this.hidden = items.length === 0;
+    if (count) count.textContent = `(${items.length})`;
+    if (list) list.innerHTML = items.map(item => this.renderItem(item)).join('');
+  }
+
+  renderItem(item) {
+    const error = this.errors[item.id] || (item.available ? '' : this.strings.unavailable);
+    const escape = window.cartUtils.escapeHtml;
+
+    return `
+      <li class="cart-drawer__saved-item${item.available ? '' : ' cart-drawer__saved-item--unavailable'}" data-saved-id="${escape(item.id)}">
+        ${item.image ? `
+          <a href="${escape(item.url)}" class="cart-drawer__saved-image" tabindex="-1">
+            <img src="${escape(item.image)}" alt="${escape(item.title)}" width="64" height="64" loading="lazy">
+          </a>
+        ` : ''}
+
+        <div class="cart-drawer__saved-details">
+          <a href="${escape(item.url)}" class="cart-drawer__saved-title">${escape(item.title)}</a>
+          ${item.variantTitle ? `<span class="cart-drawer__saved-variant">${escape(item.variantTitle)}</span>` : ''}
+          <span class="cart-drawer__saved-price">${this.formatMoney(item.price)}${item.quantity > 1 ? ` &times; ${item.quantity}` : ''}</span>
+          ${error ? `<span class="cart-drawer__saved-error" role="alert">${escape(error)}</span>` : ''}
+
+          <div class="cart-drawer__saved-actions">
+            <button type="button" class="cart-drawer__saved-move link" data-saved-move${item.available ? '' : ' disabled'}>
+              ${this.strings.moveToCart || 'Move to cart'}
+            </button>
+            <button type="button" class="cart-drawer__saved-remove link text--subdued" data-saved-remove>
+              ${this.strings.remove || 'Remove'}
+            </button>
+          </div>
+        </div>
+      </li>
+    `;
+  }
+
+  async handleMove(e) {
+    const button = e.target.closest('[data-saved-move]');
+    const id = button.closest('[data-saved-id]').dataset.savedId;
+
+    button.disabled = true;
+    delete this.errors[id];
+
+    const result = await window.savedForLater.moveToCart(id);
+
+    if (!result.success) {
+      this.errors[id] = result.reason === 'unavailable' ? this.strings.unavailable : (result.error || this.strings.error);
+      this.render();
+    }
+  }
+
+  handleRemove(e) {
+    const id = e.target.closest('[data-saved-id]').dataset.savedId;
+    delete this.errors[id];
+    window.savedForLater.remove(id);
+  }
+
+  formatMoney(cents) {
+    return window.moneyUtils.formatMoney(cents);
+  }
+}
+
+// Register the custom elements
 customElements.define('cart-drawer', CartDrawer);
+customElements.define('cart-drawer-recommendations', CartDrawerRecommendations);
+customElements.define('cart-saved-items', CartSavedItems);
 
 // Global cart drawer instance
 window.CartDrawer = CartDrawer;
+window.CartDrawerRecommendations = CartDrawerRecommendations;
+window.CartSavedItems = CartSavedItems;
@@ -0,0 +1,328 @@
+/**
+ * Cart Recovery - Bring returning shoppers back to the cart they left
+ * Keeps a local snapshot of the cart contents and, on a later visit, offers to
+ * reopen the cart or rebuild it from a cart permalink when the server cart is gone
+ */
+
+window.cartRecovery = {
+  element: null,
+  strings: {},
+  maxAgeDays: 7,
+  storageKey: 'cart:recovery',
+  optOutKey: 'cart:recovery-opt-out',
+  sessionKey: 'cart:recovery-session',
+  isPromptVisible: false,
+  consentGiven: false,
+  unsubscribe: null,
+
+  /**
+   * Check the visitor's privacy preferences through the Customer Privacy API
+   * Storing the cart snapshot is a preference, so it follows that consent
+   * When the API is missing or fails to load there is no consent to read,
+   * so the snapshot is not stored
+   * @returns {Promise<boolean>} True when the snapshot may be stored
+   */
+  hasConsent() {
+    const shopify = window.Shopify;
+
+    const readConsent = () => {
+      const privacy = shopify && shopify.customerPrivacy;
+      return Boolean(privacy && typeof privacy.preferencesProcessingAllowed === 'function'
+        && privacy.preferencesProcessingAllowed());
+    };
+
+    if (!shopify || shopify.customerPrivacy || typeof shopify.loadFeatures !== 'function') {
+      return Promise.resolve(readConsent());
+    }
+
+    return new Promise(resolve => {
+      shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+        resolve(error ? false : readConsent());
+      });
+    });
+  },
+
+  isOptedOut() {
+    try {
+      return localStorage.getItem(this.optOutKey) === 'true';
+    } catch (error) {
+      return true;
+    }
+  },
+
+  /**
+   * Checked before every write, since consent can be withdrawn after the page loads
+   * @returns {boolean} True when the snapshot may be stored
+   */
+  canStore() {
+    return this.consentGiven && !this.isOptedOut();
+  },
+
+  read() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Storage unavailable, nothing to clear
+    }
+  },
+
+  /**
+   * Snapshot the cart contents, or forget them once the shopper empties the cart
+   * @param {Object} cart - Cart data
+   */
+  save(cart) {
+    if (!cart || this.isPromptVisible || !this.canStore()) return;
+
+    if (cart.item_count === 0) {
+      this.clear();
+      return;
+    }
+
+    const previous = this.read();
+    const snapshot = {
+      token: cart.token,
+      itemCount: cart.item_count,
+      totalPrice: cart.total_price,
+      currency: cart.currency,
+      items: cart.items.map(item => ({
+        variantId: item.variant_id,
+        quantity: item.quantity,
+        properties: item.properties || {},
+        sellingPlanId: item.selling_plan_allocation ? item.selling_plan_allocation.selling_plan.id : null
+      })),
+      checkoutStarted: Boolean(previous && previous.token === cart.token && previous.checkoutStarted),
+      savedAt: Date.now()
+    };
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+    } catch (error) {
+      console.error('Cart recovery storage error:', error);
+    }
+  },
+
+  /**
+   * Remember that checkout started, since an emptied cart afterwards usually
+   * means the order went through
+   */
+  markCheckoutStarted() {
+    const snapshot = this.read();
+    if (!snapshot || !this.canStore()) return;
+
+    snapshot.checkoutStarted = true;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+    } catch (error) {
+      console.error('Cart recovery storage error:', error);
+    }
+  },
+
+  /**
+   * Decide whether a snapshot from an earlier visit is worth bringing up
+   * @param {Object} snapshot - Stored snapshot
+   * @returns {boolean} True when the prompt should be shown
+   */
+  shouldPrompt(snapshot) {
+    if (!snapshot || !snapshot.items || snapshot.items.length === 0) return false;
+    if (snapshot.checkoutStarted) return false;
+
+    const maxAge = this.maxAgeDays * 24 * 60 * 60 * 1000;
+    return Date.now() - snapshot.savedAt <= maxAge;
+  },
+
+  /**
+   * Build a cart permalink that replaces the cart with the snapshot's lines
+   * @param {Array} items - Snapshot items
+   * @returns {string} Permalink such as /cart/123:2,456:1
+   */
+  buildPermalink(items) {
+    return `/cart/${items.map(item => `${item.variantId}:${item.quantity}`).join(',')}`;
+  },
+
+  showPrompt(snapshot) {
+    const text = this.element.querySelector('[data-cart-recovery-text]');
+    const template = snapshot.itemCount === 1 ? this.strings.itemsOne : this.strings.itemsOther;
+
+    if (text && template) {
+      text.textContent = template.replace(/{{\s*count\s*}}/g, snapshot.itemCount);
+    }
+
+    this.isPromptVisible = true;
+    this.element.hidden = false;
+    this.element.querySelector('[data-cart-recovery-restore]').focus();
+  },
+
+  hidePrompt() {
+    this.isPromptVisible = false;
+    this.element.hidden = true;
+
+    // Start tracking the current cart again
+    this.save(window.cartStore.getSnapshot());
+  },
+
+  showError(message) {
+    const error = this.element.querySelector('[data-cart-recovery-error]');
+    if (!error) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  },
+
+  /**
+   * Reopen the cart, rebuilding it first when the server cart was cleared
+   * Permalinks only carry variants and quantities, so lines with properties or
+   * selling plans are added back through the cart API instead
+   */
+  async restore() {
+    const snapshot = this.read();
+    const cart = window.cartStore.getSnapshot();
+
+    if (!snapshot || (cart && cart.item_count > 0)) {
+      this.hidePrompt();
+      window.cartUtils.openCartDrawer();
+      return;
+    }
+
+    const needsCartApi = snapshot.items.some(item =>
+      item.sellingPlanId || Object.keys(item.properties || {}).length > 0
+    );
+
+    if (!needsCartApi) {
+      this.clear();
+      window.location.href = this.buildPermalink(snapshot.items);
+      return;
+    }
+
+    const restoreButton = this.element.querySelector('[data-cart-recovery-restore]');
+    restoreButton.disabled = true;
+    this.showError('');
+
+    const result = await window.cartUtils.addMultipleToCart(snapshot.items.map(item => {
+      const line = { id: item.variantId, quantity: item.quantity, properties: item.properties };
+      if (item.sellingPlanId) line.selling_plan = item.sellingPlanId;
+      return line;
+    }));
+
+    restoreButton.disabled = false;
+
+    if (!result.success) {
+      this.showError(this.strings.error || result.error);
+      return;
+    }
+
+    this.hidePrompt();
+    window.cartUtils.openCartDrawer();
+  },
+
+  dismiss() {
+    this.clear();
+    this.hidePrompt();
+  },
+
+  optOut() {
+    try {
+      localStorage.setItem(this.optOutKey, 'true');
+    } catch (error) {
+      // Storage unavailable, nothing will be remembered anyway
+    }
+
+    this.stopTracking();
+  },
+
+  /**
+   * Stop following the cart and forget the stored snapshot
+   */
+  stopTracking() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    this.clear();
+    this.isPromptVisible = false;
+    this.element.hidden = true;
+  },
+
+  setupEventListeners() {
+    this.element.addEventListener('click', (e) => {
+      if (e.target.closest('[data-cart-recovery-restore]')) {
+        this.restore();
+      } else if (e.target.closest('[data-cart-recovery-dismiss]')) {
+        this.dismiss();
+      } else if (e.target.closest('[data-cart-recovery-opt-out]')) {
+        this.optOut();
+      }
+    });
+
+    this.element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.dismiss();
+    });
+
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('[name="checkout"], [data-cart-checkout], a[href^="/checkout"]')) {
+        this.markCheckoutStarted();
+      }
+    });
+
+    // Stop storing the cart if the visitor withdraws consent
+    document.addEventListener('visitorConsentCollected', (e) => {
+      if (e.detail && e.detail.preferencesAllowed === false) {
+        this.consentGiven = false;
+        this.stopTracking();
+      }
+    });
+  },
+
+  /**
+   * Prompt on the first page of a new visit, then keep the snapshot current
+   */
+  async init() {
+    this.element = document.getElementById('cart-recovery');
+    if (!this.element) return;
+
+    this.consentGiven = await this.hasConsent();
+
+    if (!this.canStore()) {
+      this.clear();
+      return;
+    }
+
+    const stringsElement = this.element.querySelector('[data-cart-recovery-strings]');
+    this.strings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+    this.maxAgeDays = parseInt(this.element.dataset.maxAgeDays) || this.maxAgeDays;
+
+    let isNewVisit = true;
+    try {
+      isNewVisit = !sessionStorage.getItem(this.sessionKey);
+      sessionStorage.setItem(this.sessionKey, 'true');
+    } catch (error) {
+      isNewVisit = false;
+    }
+
+    this.setupEventListeners();
+
+    const snapshot = this.read();
+    const cart = await window.cartStore.load();
+
+    if (isNewVisit && this.shouldPrompt(snapshot)) {
+      this.showPrompt(snapshot);
+    } else {
+      this.save(cart);
+    }
+
+    this.unsubscribe = window.cartStore.subscribe(updatedCart => this.save(updatedCart));
+  }
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  window.cartRecovery.init();
+});
@@ -0,0 +1,225 @@
+/**
+ * Cart Rewards - Free shipping and reward tier progress
+ * Turns the tiers configured in theme settings into progress data that every
+ * cart progress bar renders from
+ */
+
+window.cartRewards = {
+  config: null,
+  productTags: {},
+  pendingTags: {},
+
+  /**
+   * Read the tier configuration rendered by snippets/cart-rewards-config.liquid
+   * @returns {Object} Configuration with tiers, product tags and strings
+   */
+  getConfig() {
+    if (!this.config) {
+      const configElement = document.getElementById('cart-rewards-config');
+
+      try {
+        this.config = configElement ? JSON.parse(configElement.textContent) : {};
+      } catch (error) {
+        console.error('Cart rewards config error:', error);
+        this.config = {};
+      }
+
+      this.config.tiers = (this.config.tiers || []).map(tier => ({
+        ...tier,
+        thresholds: this.parseThresholds(tier.thresholds),
+        excludedTags: this.parseTags(tier.excludedTags)
+      }));
+      this.config.strings = this.config.strings || {};
+      Object.assign(this.productTags, this.config.productTags || {});
+    }
+
+    return this.config;
+  },
+
+  /**
+   * Parse a threshold setting such as "USD:75.00,BRL:250.00" into cents per currency
+   * A single amount without a currency applies to every currency
+   * @param {string} value - Threshold setting
+   * @returns {Object} Thresholds in cents keyed by currency code, or by "*"
+   */
+  parseThresholds(value = '') {
+    const entries = String(value).replace(/\s/g, '').split(',').filter(Boolean);
+    const thresholds = {};
+
+    entries.forEach(entry => {
+      const [currency, amount] = entry.includes(':') ? entry.split(':') : ['*', entry];
+      const cents = Math.round(parseFloat(amount) * 100);
+
+      if (!isNaN(cents) && cents > 0) {
+        thresholds[currency.toUpperCase()] = cents;
+      }
+    });
+
+    // Matches the Liquid bar: a single entry applies whatever the currency
+    const values = Object.values(thresholds);
+    if (entries.length === 1 && values.length === 1) {
+      return { '*': values[0] };
+    }
+
+    return thresholds;
+  },
+
+  /**
+   * Parse a comma-separated tag setting
+   * @param {string} value - Tag setting
+   * @returns {Array<string>} Lowercased tags
+   */
+  parseTags(value = '') {
+    return String(value).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  },
+
+  /**
+   * Threshold in cents for a tier in the given currency
+   * @param {Object} tier - Tier configuration
+   * @param {string} currency - Cart currency
+   * @returns {number|null} Threshold, or null when the tier does not apply
+   */
+  getThreshold(tier, currency) {
+    return tier.thresholds[currency] || tier.thresholds['*'] || null;
+  },
+
+  /**
+   * Check whether a line counts towards a tier
+   * @param {Object} item - Cart line item
+   * @param {Object} tier - Tier configuration
+   * @returns {boolean} True when the line is eligible
+   */
+  isEligible(item, tier) {
+    if (tier.type === 'shipping' && item.requires_shipping === false) return false;
+    if (tier.excludedTags.length === 0) return true;
+
+    const tags = (this.productTags[item.product_id] || []).map(tag => tag.toLowerCase());
+    return !tags.some(tag => tier.excludedTags.includes(tag));
+  },
+
+  /**
+   * Calculate progress for every tier that applies to the cart's currency
+   * @param {Object} cart - Cart data
+   * @returns {Object|null} Progress with tiers, the next tier to unlock and overall percentage
+   */
+  getProgress(cart) {
+    if (!cart) return null;
+
+    const config = this.getConfig();
+    const currency = (cart.currency || '').toUpperCase();
+    const cartDiscount = (cart.cart_level_discount_applications || [])
+      .reduce((total, discount) => total + (discount.total_allocated_amount || 0), 0);
+
+    const tiers = config.tiers
+      .map(tier => {
+        const threshold = this.getThreshold(tier, currency);
+        if (!threshold) return null;
+
+        const eligibleTotal = Math.max(0, cart.items
+          .filter(item => this.isEligible(item, tier))
+          .reduce((total, item) => total + item.final_line_price, 0) - cartDiscount);
+
+        return {
+          id: tier.id,
+          type: tier.type,
+          reward: tier.reward,
+          threshold,
+          eligibleTotal,
+          remaining: Math.max(0, threshold - eligibleTotal),
+          qualifies: eligibleTotal >= threshold,
+          percentage: Math.min(100, (eligibleTotal / threshold) * 100)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.threshold - b.threshold);
+
+    if (tiers.length === 0) return null;
+
+    const nextTier = tiers.find(tier => !tier.qualifies) || null;
+    const lastTier = tiers[tiers.length - 1];
+
+    return {
+      currency,
+      tiers,
+      nextTier,
+      unlockedTiers: tiers.filter(tier => tier.qualifies),
+      percentage: nextTier ? nextTier.percentage : 100,
+      complete: !nextTier,
+      lastTier
+    };
+  },
+
+  /**
+   * Progress message for a bar
+   * @param {Object} progress - Result of getProgress
+   * @param {Function} formatMoney - Formatter for amounts in cents
+   * @returns {string} Message
+   */
+  getMessage(progress, formatMoney) {
+    if (!progress) return '';
+
+    const strings = this.getConfig().strings;
+
+    if (progress.complete) {
+      return window.cartUtils.interpolate(strings.unlocked, { reward: progress.lastTier.reward });
+    }
+
+    return window.cartUtils.interpolate(strings.remaining, {
+      amount: formatMoney(progress.nextTier.remaining),
+      reward: progress.nextTier.reward
+    });
+  },
+
+  /**
+   * Fetch tags for cart lines added after the page rendered
+   * Only needed when a tier excludes tags, since /cart.js does not include them
+   * @param {Object} cart - Cart data
+   * @returns {Promise<boolean>} True when new tags were loaded
+   */
+  async ensureProductTags(cart) {
+    const config = this.getConfig();
+    if (!cart || !config.tiers.some(tier => tier.excludedTags.length > 0)) return false;
+
+    const missing = cart.items.filter(item => !(item.product_id in this.productTags) && item.handle);
+    if (missing.length === 0) return false;
+
+    await Promise.all(missing.map(item => {
+      if (!this.pendingTags[item.product_id]) {
+        this.pendingTags[item.product_id] = fetch(`/products/${item.handle}.js`)
+          .then(response => (response.ok ? response.json() : { tags: [] }))
+          .then(product => {
+            this.productTags[item.product_id] = product.tags || [];
+          })
+          .catch(error => {
+            console.error('Cart rewards tag lookup error:', error);
+            this.productTags[item.product_id] = [];
+          })
+          .finally(() => {
+            delete this.pendingTags[item.product_id];
+          });
+      }
+
+      return this.pendingTags[item.product_id];
+    }));
+
+    return true;
+  },
+
+  /**
+   * Re-announce the cart once missing tags are known so bars re-render
+   */
+  init() {
+    document.addEventListener('cart:updated', async (e) => {
+      const cart = e.detail && e.detail.cart;
+      if (await this.ensureProductTags(cart)) {
+        document.dispatchEvent(new CustomEvent('cart:rewards-updated', {
+          detail: { cart, progress: this.getProgress(cart) }
+        }));
+      }
+    });
+  }
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  window.cartRewards.init();
+});
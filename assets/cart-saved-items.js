@@ -0,0 +1,162 @@
+/**
+ * Saved for Later - Cart lines moved out of the cart without losing them
+ * A PersistedList (assets/persisted-list.js) kept in localStorage and, for
+ * logged-in customers, synced to a customer metafield through the app proxy
+ * configured in theme settings
+ */
+
+class SavedForLater extends PersistedList {
+  constructor() {
+    super({
+      name: 'Saved items',
+      configId: 'saved-items-config',
+      storageKey: 'cart:saved-items',
+      eventName: 'cart:saved-items-updated',
+      timestampKey: 'savedAt'
+    });
+  }
+
+  /**
+   * Identify a saved line by what makes it a distinct cart line
+   * @param {Object} item - Saved item
+   * @returns {string} Item ID
+   */
+  getItemId(item) {
+    return [item.variantId, item.sellingPlanId || '', encodeURIComponent(JSON.stringify(item.properties || {}))].join(':');
+  }
+
+  /**
+   * Build a saved item from a cart line
+   * @param {Object} line - Cart line item
+   * @returns {Object} Saved item
+   */
+  fromCartLine(line) {
+    const item = {
+      variantId: line.variant_id,
+      productId: line.product_id,
+      handle: line.handle,
+      url: line.url,
+      title: line.product_title,
+      variantTitle: line.variant_title && line.variant_title !== 'Default Title' ? line.variant_title : '',
+      image: line.image,
+      price: line.final_price,
+      quantity: line.quantity,
+      properties: line.properties || {},
+      sellingPlanId: line.selling_plan_allocation ? line.selling_plan_allocation.selling_plan.id : null,
+      available: true,
+      savedAt: Date.now()
+    };
+
+    item.id = this.getItemId(item);
+    return item;
+  }
+
+  /**
+   * Move a cart line to the saved list
+   * @param {string} key - Line item key
+   * @returns {Promise<Object>} Result object with success status
+   */
+  async saveCartLine(key) {
+    const cart = window.cartStore.getSnapshot();
+    const index = cart ? cart.items.findIndex(item => item.key === key) : -1;
+
+    if (index === -1) {
+      return { success: false, error: 'Cart item not found' };
+    }
+
+    const savedItem = this.fromCartLine(cart.items[index]);
+    const previousItems = this.items;
+    const existing = previousItems.find(item => item.id === savedItem.id);
+
+    if (existing) {
+      savedItem.quantity += existing.quantity;
+    }
+
+    this.setItems([savedItem, ...previousItems.filter(item => item.id !== savedItem.id)], { sync: false });
+
+    const result = await window.cartUtils.removeFromCart(index + 1);
+
+    if (!result.success) {
+      this.setItems(previousItems, { sync: false });
+      return result;
+    }
+
+    this.scheduleSync();
+    return { success: true, item: savedItem };
+  }
+
+  /**
+   * Look up the current availability and price of a saved item's variant
+   * @param {Object} item - Saved item
+   * @returns {Promise<Object|null>} Variant data, or null when it no longer exists
+   */
+  async fetchVariant(item) {
+    const response = await fetch(`/products/${encodeURIComponent(item.handle)}.js`);
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Product lookup failed with status ${response.status}`);
+    }
+
+    const product = await response.json();
+    return product.variants.find(variant => variant.id === item.variantId) || null;
+  }
+
+  /**
+   * Move a saved item back to the cart once its variant is confirmed available
+   * @param {string} id - Saved item ID
+   * @returns {Promise<Object>} Result object with success status and failure reason
+   */
+  async moveToCart(id) {
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) {
+      return { success: false, reason: 'missing', error: 'Saved item not found' };
+    }
+
+    let variant;
+    try {
+      variant = await this.fetchVariant(item);
+    } catch (error) {
+      console.error('Saved item availability error:', error);
+      return { success: false, reason: 'error', error: error.message };
+    }
+
+    if (!variant || !variant.available) {
+      this.updateItem(id, { available: false });
+      return { success: false, reason: 'unavailable', error: 'This item is no longer available' };
+    }
+
+    const options = { properties: item.properties };
+    if (item.sellingPlanId) {
+      options.selling_plan = item.sellingPlanId;
+    }
+
+    const result = await window.cartUtils.addToCart(item.variantId, item.quantity, options);
+
+    if (!result.success) {
+      this.updateItem(id, { price: variant.price, available: true });
+      return { ...result, reason: 'error' };
+    }
+
+    this.remove(id);
+    return { success: true, data: result.data };
+  }
+
+  updateItem(id, changes) {
+    this.setItems(this.items.map(item => (item.id === id ? { ...item, ...changes } : item)), { sync: false });
+  }
+
+  /**
+   * Remove an item from the saved list
+   * @param {string} id - Saved item ID
+   */
+  remove(id) {
+    this.setItems(this.items.filter(item => item.id !== id));
+  }
+}
+
+window.savedForLater = new SavedForLater();
+
+document.addEventListener('DOMContentLoaded', function() {
+  window.savedForLater.init();
+});
@@ -0,0 +1,383 @@
+/**
+ * Cart Share - Send a cart to someone else as a link
+ * Encodes the cart lines into a compact, checksummed URL parameter. Opening the
+ * link previews the shared lines and merges the available ones into the cart.
+ */
+
+window.cartShare = {
+  element: null,
+  strings: {},
+  lines: [],
+  paramName: 'share',
+  version: 1,
+  maxLines: 100,
+  maxQuantity: 9999,
+  maxProperties: 10,
+  maxPropertyLength: 250,
+
+  /**
+   * Properties a shared line may carry
+   * Keys starting with an underscore belong to apps and fulfilment, so they are
+   * never put in a link or taken from one
+   * @param {Object} properties - Line item properties
+   * @returns {Object} Properties without private keys
+   */
+  getShareableProperties(properties = {}) {
+    return Object.fromEntries(Object.entries(properties).filter(([key]) => !key.startsWith('_')));
+  },
+
+  /**
+   * Reduce a cart to what is needed to rebuild its lines
+   * @param {Object} cart - Cart data
+   * @returns {Array} Lines as [handle, variantId, quantity, properties, sellingPlanId]
+   */
+  serializeCart(cart) {
+    return cart.items.map(item => {
+      const line = [item.handle, item.variant_id, item.quantity];
+      const properties = this.getShareableProperties(item.properties || {});
+      const sellingPlanId = item.selling_plan_allocation ? item.selling_plan_allocation.selling_plan.id : 0;
+
+      if (Object.keys(properties).length > 0 || sellingPlanId) {
+        line.push(properties);
+      }
+      if (sellingPlanId) {
+        line.push(sellingPlanId);
+      }
+
+      return line;
+    });
+  },
+
+  /**
+   * Short FNV-1a hash, enough to reject links that were truncated or edited
+   * @param {string} value - Encoded payload
+   * @returns {string} Checksum in base 36
+   */
+  checksum(value) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(36);
+  },
+
+  toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  fromBase64Url(value) {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  },
+
+  /**
+   * Encode cart lines as version.payload.checksum
+   * @param {Object} cart - Cart data
+   * @returns {string} Share token
+   */
+  encode(cart) {
+    const payload = this.toBase64Url(JSON.stringify(this.serializeCart(cart)));
+    return `${this.version}.${payload}.${this.checksum(payload)}`;
+  },
+
+  /**
+   * Decode and validate a share token
+   * @param {string} token - Share token from the URL
+   * @returns {Array|null} Normalized lines, or null when the token is invalid
+   */
+  decode(token) {
+    const [version, payload, checksum] = String(token || '').split('.');
+
+    if (parseInt(version) !== this.version || !payload || checksum !== this.checksum(payload)) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(this.fromBase64Url(payload));
+    } catch (error) {
+      return null;
+    }
+
+    if (!Array.isArray(data) || data.length === 0 || data.length > this.maxLines) {
+      return null;
+    }
+
+    const lines = data.map(line => this.normalizeLine(line));
+    return lines.every(Boolean) ? lines : null;
+  },
+
+  /**
+   * Check the shape of one decoded line
+   * @param {Array} line - [handle, variantId, quantity, properties, sellingPlanId]
+   * @returns {Object|null} Line, or null when any field is malformed
+   */
+  normalizeLine(line) {
+    if (!Array.isArray(line)) return null;
+
+    const [handle, variantId, quantity, properties = {}, sellingPlanId = 0] = line;
+    const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+    if (typeof handle !== 'string' || !handle || /[/?#\s]/.test(handle)) return null;
+    if (!isPositiveInteger(variantId)) return null;
+    if (!isPositiveInteger(quantity) || quantity > this.maxQuantity) return null;
+    if (sellingPlanId !== 0 && !isPositiveInteger(sellingPlanId)) return null;
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) return null;
+
+    // Links are built from carts, so anything beyond these limits was crafted by hand
+    const entries = Object.entries(this.getShareableProperties(properties));
+    if (entries.length > this.maxProperties) return null;
+    if (!entries.every(([key, value]) => typeof value === 'string' && key.length <= this.maxPropertyLength && value.length <= this.maxPropertyLength)) return null;
+
+    return { handle, variantId, quantity, properties: Object.fromEntries(entries), sellingPlanId: sellingPlanId || null };
+  },
+
+  getCartUrl() {
+    return (this.element && this.element.dataset.cartUrl) || '/cart';
+  },
+
+  /**
+   * Build the shareable link for a cart
+   * @param {Object} cart - Cart data (defaults to the store snapshot)
+   * @returns {string|null} Absolute URL, or null for an empty cart
+   */
+  buildUrl(cart = window.cartStore.getSnapshot()) {
+    if (!cart || cart.item_count === 0) return null;
+
+    const url = new URL(this.getCartUrl(), window.location.origin);
+    url.searchParams.set(this.paramName, this.encode(cart));
+    return url.toString();
+  },
+
+  /**
+   * Share the current cart through the share sheet, or copy the link
+   * @param {HTMLElement} button - Share button, used to find its status element
+   */
+  async shareCart(button) {
+    const status = button.parentElement.querySelector('[data-cart-share-status]');
+    const setStatus = (message) => {
+      if (!status) return;
+      status.textContent = message;
+      status.hidden = !message;
+    };
+
+    const url = this.buildUrl();
+    if (!url) return;
+
+    setStatus('');
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: document.title, url });
+        return;
+      } catch (error) {
+        // Closing the share sheet is not an error worth reporting
+        if (error.name === 'AbortError') return;
+      }
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus(button.dataset.copiedText || '');
+    } catch (error) {
+      // Leave the link where it can be copied by hand
+      window.prompt(button.dataset.copyText || '', url);
+    }
+  },
+
+  /**
+   * Look up each shared line's variant, one request per product
+   * @param {Array} lines - Decoded lines
+   * @returns {Promise<Array>} Lines with product, variant and availability
+   */
+  async resolveLines(lines) {
+    const products = new Map();
+
+    const fetchProduct = (handle) => {
+      if (!products.has(handle)) {
+        products.set(handle, fetch(`/products/${encodeURIComponent(handle)}.js`)
+          .then(response => (response.ok ? response.json() : null))
+          .catch(() => null));
+      }
+      return products.get(handle);
+    };
+
+    return Promise.all(lines.map(async line => {
+      const product = await fetchProduct(line.handle);
+      const variant = product ? product.variants.find(entry => entry.id === line.variantId) : null;
+
+      return {
+        ...line,
+        title: product ? product.title : line.handle,
+        variantTitle: variant && variant.title !== 'Default Title' ? variant.title : '',
+        image: (variant && variant.featured_image && variant.featured_image.src) || (product && product.featured_image) || '',
+        available: Boolean(variant && variant.available)
+      };
+    }));
+  },
+
+  toCartItem(line) {
+    const item = { id: line.variantId, quantity: line.quantity, properties: line.properties };
+    if (line.sellingPlanId) item.selling_plan = line.sellingPlanId;
+    return item;
+  },
+
+  /**
+   * Merge the available shared lines into the cart
+   * One add request is all or nothing, so when it fails each line is retried
+   * on its own to find the ones that cannot be added
+   * @returns {Promise<Object>} Added and unavailable lines
+   */
+  async mergeLines(lines) {
+    const available = lines.filter(line => line.available);
+    const unavailable = lines.filter(line => !line.available);
+
+    if (available.length === 0) {
+      return { added: [], unavailable };
+    }
+
+    const result = await window.cartUtils.addMultipleToCart(available.map(line => this.toCartItem(line)));
+    if (result.success) {
+      return { added: available, unavailable };
+    }
+
+    const added = [];
+    for (const line of available) {
+      const lineResult = await window.cartUtils.addMultipleToCart([this.toCartItem(line)]);
+      (lineResult.success ? added : unavailable).push(line);
+    }
+
+    return { added, unavailable };
+  },
+
+  renderLines(lines) {
+    const list = this.element.querySelector('[data-cart-share-lines]');
+    const escape = window.cartUtils.escapeHtml;
+
+    list.innerHTML = lines.map(line => `
+      <li class="cart-share__line${line.available ? '' : ' cart-share__line--unavailable'}">
+        ${line.image ? `<img class="cart-share__image" src="${escape(line.image)}" alt="" width="48" height="48" loading="lazy">` : ''}
+        <span class="cart-share__details">
+          <span class="cart-share__title">${escape(line.title)}</span>
+          ${line.variantTitle ? `<span class="cart-share__variant">${escape(line.variantTitle)}</span>` : ''}
+          ${Object.entries(line.properties)
+            .map(([name, value]) => `<span class="cart-share__property">${escape(name)}: ${escape(value)}</span>`)
+            .join('')}
+          ${line.available ? '' : `<span class="cart-share__unavailable">${escape(this.strings.unavailable)}</span>`}
+        </span>
+        <span class="cart-share__quantity">${escape(window.cartUtils.interpolate(this.strings.quantity, { quantity: line.quantity }))}</span>
+      </li>
+    `).join('');
+  },
+
+  setMessage(message) {
+    const element = this.element.querySelector('[data-cart-share-message]');
+    element.textContent = message;
+    element.hidden = !message;
+  },
+
+  open() {
+    this.element.hidden = false;
+    this.element.querySelector('[data-cart-share-close]').focus();
+  },
+
+  close() {
+    this.element.hidden = true;
+
+    // Drop the token so reloading the page does not offer the same cart again
+    const url = new URL(window.location.href);
+    url.searchParams.delete(this.paramName);
+    window.history.replaceState(window.history.state, '', url.toString());
+  },
+
+  async handleAdd(button) {
+    button.disabled = true;
+    this.setMessage('');
+
+    const { added, unavailable } = await this.mergeLines(this.lines);
+
+    this.renderLines([...added, ...unavailable.map(line => ({ ...line, available: false }))]);
+    button.hidden = true;
+    this.element.querySelector('[data-cart-share-view]').hidden = added.length === 0;
+
+    const messages = [];
+    if (added.length > 0) {
+      messages.push(window.cartUtils.interpolate(this.strings.added, { count: added.length }));
+    }
+    if (unavailable.length > 0) {
+      messages.push(window.cartUtils.interpolate(this.strings.unavailableCount, { count: unavailable.length }));
+    }
+    this.setMessage(messages.join(' '));
+  },
+
+  setupEventListeners() {
+    this.element.addEventListener('click', (e) => {
+      const addButton = e.target.closest('[data-cart-share-add]');
+
+      if (addButton) {
+        this.handleAdd(addButton);
+      } else if (e.target.closest('[data-cart-share-close]')) {
+        this.close();
+      }
+    });
+
+    this.element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+
+    // Delegated so buttons in the re-rendered cart drawer keep working
+    document.addEventListener('click', (e) => {
+      const shareButton = e.target.closest('[data-cart-share]');
+      if (shareButton) {
+        e.preventDefault();
+        this.shareCart(shareButton);
+      }
+    });
+  },
+
+  /**
+   * Preview a shared cart when the page was opened from a share link
+   */
+  async init() {
+    this.element = document.getElementById('cart-share');
+    if (!this.element) return;
+
+    const stringsElement = this.element.querySelector('[data-cart-share-strings]');
+    this.strings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+
+    this.setupEventListeners();
+
+    const token = new URLSearchParams(window.location.search).get(this.paramName);
+    if (!token) return;
+
+    const addButton = this.element.querySelector('[data-cart-share-add]');
+    const lines = this.decode(token);
+
+    this.open();
+
+    if (!lines) {
+      addButton.hidden = true;
+      this.setMessage(this.strings.invalid);
+      return;
+    }
+
+    this.setMessage(this.strings.loading);
+    this.lines = await this.resolveLines(lines);
+    this.renderLines(this.lines);
+
+    const availableCount = this.lines.filter(line => line.available).length;
+    addButton.disabled = availableCount === 0;
+    this.setMessage(availableCount < this.lines.length
+      ? window.cartUtils.interpolate(this.strings.unavailableCount, { count: this.lines.length - availableCount })
+      : '');
+  }
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  window.cartShare.init();
+});
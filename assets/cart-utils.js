@@ -3,7 +3,447 @@
  * Provides consistent cart operations across the theme with advanced features
  */
 
+/**
+ * Cart Store - Single source of truth for cart state
+ * Every cart consumer reads the snapshot from here and writes through mutate()
+ */
+window.cartStore = {
+  snapshot: null,
+  confirmed: null,
+  timestamp: 0,
+  // Server carts and optimistic drafts are counted apart, so a draft shown while
+  // a load is in flight does not make that load's fresh server cart look stale
+  version: 0,
+  optimisticVersion: 0,
+  maxAge: 5000,
+  listeners: new Set(),
+  pendingLoad: null,
+
+  /**
+   * Subscribe to cart snapshot changes
+   * @param {Function} listener - Called with (cart, meta) on every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  /**
+   * Get the latest cart snapshot without fetching
+   * @returns {Object|null} Cart data
+   */
+  getSnapshot() {
+    return this.snapshot;
+  },
+
+  /**
+   * Load cart data, reusing a fresh snapshot or an in-flight request
+   * @param {boolean} forceRefresh - Ignore the cached snapshot
+   * @returns {Promise<Object>} Cart data
+   */
+  async load(forceRefresh = false) {
+    if (!forceRefresh && this.snapshot && Date.now() - this.timestamp < this.maxAge) {
+      return this.snapshot;
+    }
+
+    // Only share a request that started after the latest change
+    if (this.pendingLoad && this.pendingLoad.version === this.version) {
+      return this.pendingLoad.promise;
+    }
+
+    const version = this.version;
+    const promise = fetch('/cart.js')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(cart => {
+        // A mutation that landed while loading already holds a newer server cart
+        if (version === this.version) {
+          this.setSnapshot(cart, { source: 'load' });
+        }
+        return this.confirmed;
+      })
+      .finally(() => {
+        if (this.pendingLoad && this.pendingLoad.promise === promise) {
+          this.pendingLoad = null;
+        }
+      });
+
+    this.pendingLoad = { version, promise };
+    return promise;
+  },
+
+  /**
+   * Replace the snapshot and notify subscribers
+   * Optimistic snapshots are shown but never become the confirmed server cart
+   * @param {Object} cart - Cart data
+   * @param {Object} meta - Change details passed to subscribers
+   */
+  setSnapshot(cart, meta = {}) {
+    this.snapshot = cart;
+
+    if (meta.optimistic) {
+      this.optimisticVersion += 1;
+    } else {
+      this.version += 1;
+      this.confirmed = cart;
+      this.timestamp = Date.now();
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(cart, meta);
+      } catch (error) {
+        console.error('Cart store listener error:', error);
+      }
+    });
+  },
+
+  /**
+   * Mark the snapshot as stale so the next load fetches it again
+   */
+  invalidate() {
+    this.timestamp = 0;
+    this.version += 1;
+  },
+
+  /**
+   * Write to the cart through an AJAX endpoint and refresh the snapshot
+   * @param {string} endpoint - Cart endpoint (/cart/add.js, /cart/change.js, /cart/update.js)
+   * @param {Object|FormData} payload - Request body
+   * @returns {Promise<Object>} Endpoint response and resulting cart
+   */
+  async mutate(endpoint, payload) {
+    const isFormData = payload instanceof FormData;
+    const headers = { 'X-Requested-With': 'XMLHttpRequest' };
+
+    if (!isFormData) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: isFormData ? payload : JSON.stringify(payload)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.description || data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    // /cart/change.js and /cart/update.js answer with the full cart,
+    // /cart/add.js only with the added items
+    const isCart = data && Array.isArray(data.items) && typeof data.item_count === 'number';
+    let cart;
+
+    if (isCart) {
+      this.setSnapshot(data, { source: 'mutate', endpoint });
+      cart = data;
+    } else {
+      this.invalidate();
+      cart = await this.load(true);
+    }
+
+    return { data, cart };
+  }
+};
+
 window.cartUtils = {
+  mutationQueue: [],
+  isProcessingQueue: false,
+  syncChannel: null,
+  syncStorageKey: 'cart:sync',
+  recommendationCache: new Map(),
+  recommendationCacheTime: 300000, // 5 minutes
+
+  /**
+   * Queue a cart mutation so requests reach Shopify one at a time, in order
+   * A queued mutation with the same coalesce key that has not started yet is
+   * replaced by the newer payload, and both callers share its result
+   * @param {string} endpoint - Cart endpoint
+   * @param {Object|FormData} payload - Request body
+   * @param {Object} options - coalesceKey and optimistic (cart => cart) transform
+   * @returns {Promise<Object>} Endpoint response and resulting cart
+   */
+  queueMutation(endpoint, payload, options = {}) {
+    const { coalesceKey = null, optimistic = null } = options;
+
+    const queued = coalesceKey && this.mutationQueue.find(job => !job.started && job.coalesceKey === coalesceKey);
+    if (queued) {
+      queued.payload = payload;
+      queued.optimistic = optimistic;
+      this.applyOptimisticUpdates();
+      return queued.promise;
+    }
+
+    const job = { endpoint, payload, coalesceKey, optimistic, started: false };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.mutationQueue.push(job);
+    this.applyOptimisticUpdates();
+    this.processMutationQueue();
+
+    return job.promise;
+  },
+
+  /**
+   * Run queued mutations one after another
+   * A rejected mutation rolls the snapshot back to the confirmed cart
+   */
+  async processMutationQueue() {
+    if (this.isProcessingQueue) return;
+    this.isProcessingQueue = true;
+
+    while (this.mutationQueue.length > 0) {
+      const job = this.mutationQueue[0];
+      job.started = true;
+
+      try {
+        const result = await window.cartStore.mutate(job.endpoint, job.payload);
+        this.mutationQueue.shift();
+        this.applyOptimisticUpdates();
+        this.broadcastCartChange(result.cart);
+        job.resolve(result);
+      } catch (error) {
+        this.mutationQueue.shift();
+        this.applyOptimisticUpdates({ source: 'rollback' });
+        job.reject(error);
+      }
+    }
+
+    this.isProcessingQueue = false;
+  },
+
+  /**
+   * Show the confirmed cart with every pending optimistic change applied
+   * @param {Object} meta - Change details passed to subscribers
+   */
+  applyOptimisticUpdates(meta = {}) {
+    const store = window.cartStore;
+    const confirmed = store.confirmed;
+    if (!confirmed) return;
+
+    const pending = this.mutationQueue.filter(job => job.optimistic);
+
+    if (pending.length === 0) {
+      if (store.getSnapshot() !== confirmed) {
+        store.setSnapshot(confirmed, { source: meta.source || 'mutate' });
+      }
+      return;
+    }
+
+    const cart = pending.reduce((draft, job) => job.optimistic(draft), JSON.parse(JSON.stringify(confirmed)));
+    store.setSnapshot(cart, { source: 'optimistic', optimistic: true });
+  },
+
+  /**
+   * Listen for cart changes made in other tabs
+   * Uses BroadcastChannel where available and the storage event otherwise
+   */
+  setupCrossTabSync() {
+    const handleMessage = (message) => {
+      if (!message || message.type !== 'cart:changed') return;
+
+      // Refresh from the server; the store re-dispatches cart:updated here
+      window.cartStore.load(true).catch(error => {
+        console.error('Cross-tab cart sync error:', error);
+      });
+    };
+
+    if ('BroadcastChannel' in window) {
+      this.syncChannel = new BroadcastChannel('cart');
+      this.syncChannel.addEventListener('message', (e) => handleMessage(e.data));
+      return;
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key !== this.syncStorageKey || !e.newValue) return;
+
+      try {
+        handleMessage(JSON.parse(e.newValue));
+      } catch (error) {
+        console.error('Cross-tab cart sync error:', error);
+      }
+    });
+  },
+
+  /**
+   * Tell other open tabs that this tab changed the cart
+   * @param {Object} cart - Cart data after the change
+   */
+  broadcastCartChange(cart) {
+    const message = {
+      type: 'cart:changed',
+      item_count: cart ? cart.item_count : null,
+      timestamp: Date.now()
+    };
+
+    if (this.syncChannel) {
+      this.syncChannel.postMessage(message);
+      return;
+    }
+
+    try {
+      // The storage event only fires in other tabs and only when the value changes
+      localStorage.setItem(this.syncStorageKey, JSON.stringify(message));
+    } catch (error) {
+      console.error('Cross-tab cart sync error:', error);
+    }
+  },
+
+  /**
+   * Set a line quantity on a cart copy and recalculate its totals
+   * @param {Object} cart - Cart data (mutated in place)
+   * @param {string} key - Line item key
+   * @param {number} quantity - New quantity
+   * @returns {Object} Cart data
+   */
+  setLineQuantity(cart, key, quantity) {
+    cart.items = cart.items
+      .map(item => {
+        if (item.key !== key) return item;
+
+        return {
+          ...item,
+          quantity,
+          line_price: item.price * quantity,
+          original_line_price: item.original_price * quantity,
+          final_line_price: item.final_price * quantity
+        };
+      })
+      .filter(item => item.quantity > 0);
+
+    cart.item_count = cart.items.reduce((count, item) => count + item.quantity, 0);
+    cart.items_subtotal_price = cart.items.reduce((total, item) => total + item.final_line_price, 0);
+    cart.original_total_price = cart.items.reduce((total, item) => total + item.original_line_price, 0);
+    cart.total_price = cart.items_subtotal_price;
+
+    return cart;
+  },
+
+  /**
+   * Queue a line quantity change, addressing the line by its key so earlier
+   * removals in the queue cannot shift it onto a different item
+   * @param {number} line - Line item number (1-based)
+   * @param {number} quantity - New quantity
+   * @returns {Promise<Object>} Endpoint response and resulting cart
+   */
+  changeLineQuantity(line, quantity) {
+    const item = window.cartStore.getSnapshot()?.items[line - 1];
+
+    if (!item) {
+      return this.queueMutation('/cart/change.js', { line: line, quantity: quantity });
+    }
+
+    return this.queueMutation('/cart/change.js', { id: item.key, quantity: quantity }, {
+      coalesceKey: `change:${item.key}`,
+      optimistic: cart => this.setLineQuantity(cart, item.key, quantity)
+    });
+  },
+
+  /**
+   * Quantity rule and volume price breaks for a variant, read from the
+   * [data-quantity-rules] blocks rendered by snippets/quantity-rules.liquid
+   * @param {string|number} variantId - Variant ID
+   * @returns {Object} min, max (null when unlimited), increment and priceBreaks
+   */
+  getQuantityRule(variantId) {
+    const rule = { min: 1, max: null, increment: 1, priceBreaks: [] };
+    if (!variantId) return rule;
+
+    for (const element of document.querySelectorAll('[data-quantity-rules]')) {
+      try {
+        const rules = JSON.parse(element.textContent);
+        if (rules[variantId]) return { ...rule, ...rules[variantId] };
+      } catch (error) {
+        console.error('Quantity rules error:', error);
+      }
+    }
+
+    return rule;
+  },
+
+  /**
+   * Bring a quantity in line with a quantity rule: at least the minimum, a
+   * multiple of the increment and no more than the maximum
+   * @param {number|string} quantity - Requested quantity
+   * @param {Object} rule - Rule from getQuantityRule
+   * @param {Object} options - allowZero to keep 0 so a cart line can be removed
+   * @returns {number} Allowed quantity
+   */
+  normalizeQuantity(quantity, rule, options = {}) {
+    const value = parseInt(quantity, 10) || 0;
+    if (value <= 0 && options.allowZero) return 0;
+
+    const increment = Math.max(rule.increment || 1, 1);
+    let normalized = Math.ceil(Math.max(value, rule.min || 1) / increment) * increment;
+
+    if (rule.max) {
+      normalized = Math.min(normalized, Math.floor(rule.max / increment) * increment);
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Next quantity for a plus or minus button
+   * Stepping below the minimum gives 0 when allowZero is set, otherwise the minimum
+   * @param {number|string} quantity - Current quantity
+   * @param {Object} rule - Rule from getQuantityRule
+   * @param {number} direction - 1 to increase, -1 to decrease
+   * @param {Object} options - allowZero to let a cart line be stepped down to removal
+   * @returns {number} New quantity
+   */
+  stepQuantity(quantity, rule, direction, options = {}) {
+    const current = parseInt(quantity, 10) || 0;
+    const next = current + direction * Math.max(rule.increment || 1, 1);
+
+    if (direction < 0 && next < (rule.min || 1)) {
+      return options.allowZero ? 0 : this.normalizeQuantity(0, rule);
+    }
+
+    return this.normalizeQuantity(next, rule);
+  },
+
+  /**
+   * Localized strings from snippets/quantity-rules-config.liquid
+   * @returns {Object} Strings
+   */
+  getQuantityRuleStrings() {
+    if (!this.quantityRuleStrings) {
+      const configElement = document.getElementById('quantity-rules-config');
+      this.quantityRuleStrings = configElement ? JSON.parse(configElement.textContent) : {};
+    }
+
+    return this.quantityRuleStrings;
+  },
+
+  /**
+   * Shopper-facing explanation of a quantity rule, such as "Minimum of 6 · Sold in multiples of 6"
+   * @param {Object} rule - Rule from getQuantityRule
+   * @returns {string} Description, empty for the default rule
+   */
+  describeQuantityRule(rule) {
+    const strings = this.getQuantityRuleStrings();
+    const fill = (template, key, value) => (template || '').replace(`{{ ${key} }}`, value);
+    const parts = [];
+
+    if (rule.min > 1) parts.push(fill(strings.min, 'min', rule.min));
+    if (rule.increment > 1) parts.push(fill(strings.increment, 'increment', rule.increment));
+    if (rule.max) parts.push(fill(strings.max, 'max', rule.max));
+
+    return parts.join(' · ');
+  },
+
   /**
    * Add item to cart with enhanced error handling and validation
    * @param {string|number} variantId - Product variant ID
@@ -37,24 +477,8 @@ window.cartUtils = {
         requestBody.properties = options.properties;
       }
 
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
-      }
+      const { data } = await this.queueMutation('/cart/add.js', requestBody);
 
-      const data = await response.json();
-      
-      // Update cart count and trigger events
-      this.updateCartCount();
       this.dispatchCartEvent('cart:item-added', { item: data, quantity });
       
       return { success: true, data };
@@ -73,25 +497,12 @@ window.cartUtils = {
    */
   async updateCartItem(line, quantity) {
     try {
-      const response = await fetch('/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          line: line,
-          quantity: quantity
-        })
-      });
+      const { data } = await this.changeLineQuantity(line, quantity);
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
       return { success: true, data };
     } catch (error) {
       console.error('Update cart item error:', error);
+      this.dispatchCartEvent('cart:error', { error: error.message, line });
       return { success: false, error: error.message };
     }
   },
@@ -103,25 +514,39 @@ window.cartUtils = {
    */
   async removeFromCart(line) {
     try {
-      const response = await fetch('/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          line: line,
-          quantity: 0
-        })
-      });
+      const { data } = await this.changeLineQuantity(line, 0);
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      return { success: true, data };
+    } catch (error) {
+      console.error('Remove from cart error:', error);
+      this.dispatchCartEvent('cart:error', { error: error.message, line });
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Change the selling plan of a cart line
+   * @param {string} key - Line item key
+   * @param {number|null} sellingPlanId - Selling plan ID, or null for a one-time purchase
+   * @returns {Promise<Object>} Result object with success status
+   */
+  async updateCartItemSellingPlan(key, sellingPlanId) {
+    try {
+      const item = window.cartStore.getSnapshot()?.items.find(entry => entry.key === key);
+      if (!item) {
+        throw new Error('Cart item not found');
       }
 
-      const data = await response.json();
+      const { data } = await this.queueMutation('/cart/change.js', {
+        id: key,
+        quantity: item.quantity,
+        selling_plan: sellingPlanId ? parseInt(sellingPlanId) : null
+      }, { coalesceKey: `selling-plan:${key}` });
+
       return { success: true, data };
     } catch (error) {
-      console.error('Remove from cart error:', error);
+      console.error('Update selling plan error:', error);
+      this.dispatchCartEvent('cart:error', { error: error.message });
       return { success: false, error: error.message };
     }
   },
@@ -132,11 +557,7 @@ window.cartUtils = {
    */
   async getCart() {
     try {
-      const response = await fetch('/cart.js');
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return await response.json();
+      return await window.cartStore.load(true);
     } catch (error) {
       console.error('Get cart error:', error);
       return null;
@@ -145,26 +566,40 @@ window.cartUtils = {
 
   /**
    * Update cart count display
-   * Updates all cart count elements on the page
+   * Refreshes the cart store; subscribers re-render every cart count element
+   * @returns {Promise<Object>} Cart data
    */
   updateCartCount() {
-    // Get current cart count
-    this.getCart().then(cart => {
-      if (cart) {
-        const count = cart.item_count;
-        
-        // Update all cart count elements
-        const cartCountElements = document.querySelectorAll('.cart-count, [data-cart-count], .header__cart-count');
-        cartCountElements.forEach(element => {
-          element.textContent = count;
-          element.style.display = count > 0 ? 'block' : 'none';
-        });
+    return this.getCart();
+  },
 
-        // Dispatch custom event for other components
-        document.dispatchEvent(new CustomEvent('cart:updated', {
-          detail: { item_count: count, cart: cart }
-        }));
-      }
+  /**
+   * Render cart count elements from a cart snapshot
+   * @param {Object} cart - Cart data
+   */
+  renderCartCount(cart) {
+    const count = cart.item_count;
+    const cartCountElements = document.querySelectorAll('.cart-count, [data-cart-count], .header__cart-count');
+
+    cartCountElements.forEach(element => {
+      element.textContent = count;
+      element.style.display = count > 0 ? 'block' : 'none';
+    });
+  },
+
+  /**
+   * Handle a new cart store snapshot
+   * Single place where cart counts are rendered and cart:updated is dispatched
+   * @param {Object} cart - Cart data
+   * @param {Object} meta - Change details from the store
+   */
+  handleCartChange(cart, meta = {}) {
+    this.renderCartCount(cart);
+    this.dispatchCartEvent('cart:updated', {
+      item_count: cart.item_count,
+      cart: cart,
+      source: meta.source,
+      optimistic: Boolean(meta.optimistic)
     });
   },
 
@@ -176,6 +611,33 @@ window.cartUtils = {
     return window.location.origin;
   },
 
+  /**
+   * Escape text for use in HTML content and attribute values
+   * Line item properties, discount codes and shared carts come from shoppers,
+   * so every renderer that builds markup from them goes through this
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Fill {{ key }} placeholders in a translated string
+   * Placeholders without a value are left as they are
+   * @param {string} template - Translated string
+   * @param {Object} values - Values by placeholder name
+   * @returns {string} Filled string
+   */
+  interpolate(template = '', values = {}) {
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (key in values ? values[key] : match));
+  },
+
   /**
    * Debounce function for performance optimization
    * @param {Function} func - Function to debounce
@@ -239,29 +701,13 @@ window.cartUtils = {
   },
 
   /**
-   * Get cart data with caching
+   * Get cart data from the cart store
    * @param {boolean} forceRefresh - Force refresh cache
    * @returns {Promise<Object>} Cart data
    */
   async getCartData(forceRefresh = false) {
-    if (!forceRefresh && this.cartCache && Date.now() - this.cartCache.timestamp < 5000) {
-      return this.cartCache.data;
-    }
-
     try {
-      const response = await fetch('/cart.js');
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const data = await response.json();
-      
-      // Cache the data
-      this.cartCache = {
-        data,
-        timestamp: Date.now()
-      };
-      
-      return data;
+      return await window.cartStore.load(forceRefresh);
     } catch (error) {
       console.error('Get cart data error:', error);
       return null;
@@ -272,7 +718,44 @@ window.cartUtils = {
    * Clear cart cache
    */
   clearCartCache() {
-    this.cartCache = null;
+    window.cartStore.invalidate();
+  },
+
+  /**
+   * Add the contents of a product form to cart
+   * Keeps multipart fields such as file upload properties intact
+   * @param {FormData} formData - Product form data
+   * @returns {Promise<Object>} Result object with success status
+   */
+  async addFormDataToCart(formData) {
+    try {
+      if (!formData.get('id')) {
+        throw new Error('Variant ID is required');
+      }
+
+      // The one-time purchase option submits an empty selling plan
+      if (formData.has('selling_plan') && !formData.get('selling_plan')) {
+        formData.delete('selling_plan');
+      }
+
+      // Leave out optional properties the customer left empty
+      [...formData.keys()].filter(key => key.startsWith('properties[')).forEach(key => {
+        const value = formData.get(key);
+        if (value === '' || (value instanceof File && value.size === 0 && !value.name)) {
+          formData.delete(key);
+        }
+      });
+
+      const { data } = await this.queueMutation('/cart/add.js', formData);
+
+      this.dispatchCartEvent('cart:item-added', { item: data, quantity: data.quantity });
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Add to cart error:', error);
+      this.dispatchCartEvent('cart:error', { error: error.message });
+      return { success: false, error: error.message };
+    }
   },
 
   /**
@@ -282,22 +765,8 @@ window.cartUtils = {
    */
   async addMultipleToCart(items) {
     try {
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify({ items })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
-      }
+      const { data } = await this.queueMutation('/cart/add.js', { items });
 
-      const data = await response.json();
-      this.updateCartCount();
       this.dispatchCartEvent('cart:items-added', { items: data.items });
       
       return { success: true, data };
@@ -308,6 +777,59 @@ window.cartUtils = {
     }
   },
 
+  /**
+   * Add the lines of a bundle together, tagged with a shared _bundle_id property
+   * When the request fails after Shopify already added some of the lines, those
+   * lines are removed again so the shopper never ends up with half a bundle
+   * @param {Array} items - Items as { id, quantity, properties }
+   * @returns {Promise<Object>} Result object with success status and bundle ID
+   */
+  async addBundleToCart(items) {
+    const bundleId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const bundleItems = items.map(item => ({
+      ...item,
+      properties: { ...(item.properties || {}), _bundle_id: bundleId }
+    }));
+
+    const result = await this.addMultipleToCart(bundleItems);
+
+    if (!result.success) {
+      await this.removeBundleLines(bundleId);
+    } else {
+      this.dispatchCartEvent('cart:bundle-added', { bundleId, items: result.data.items });
+    }
+
+    return { ...result, bundleId };
+  },
+
+  /**
+   * Remove every cart line that belongs to a bundle
+   * @param {string} bundleId - Bundle ID from addBundleToCart
+   * @returns {Promise<boolean>} True when no bundle lines are left in the cart
+   */
+  async removeBundleLines(bundleId) {
+    try {
+      // The failed request left no trace in the store, so ask Shopify what it kept
+      const cart = await window.cartStore.load(true);
+      const updates = {};
+
+      cart.items
+        .filter(item => item.properties && item.properties._bundle_id === bundleId)
+        .forEach(item => {
+          updates[item.key] = 0;
+        });
+
+      if (Object.keys(updates).length > 0) {
+        await this.queueMutation('/cart/update.js', { updates });
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Bundle rollback error:', error);
+      return false;
+    }
+  },
+
   /**
    * Update cart note
    * @param {string} note - Cart note
@@ -315,21 +837,8 @@ window.cartUtils = {
    */
   async updateCartNote(note) {
     try {
-      const response = await fetch('/cart/update.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify({ note })
-      });
+      const { data } = await this.queueMutation('/cart/update.js', { note }, { coalesceKey: 'note' });
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      this.clearCartCache();
       this.dispatchCartEvent('cart:note-updated', { note });
       
       return { success: true, data };
@@ -339,25 +848,159 @@ window.cartUtils = {
     }
   },
 
+  /**
+   * Update cart attributes such as a delivery date or a gift flag
+   * Each attribute is coalesced on its own, so quick edits to one field never
+   * drop a pending change to another. An empty value removes the attribute
+   * @param {Object} attributes - Attribute names and values
+   * @returns {Promise<Object>} Result object
+   */
+  async updateCartAttributes(attributes) {
+    try {
+      const results = await Promise.all(Object.entries(attributes).map(([name, value]) =>
+        this.queueMutation('/cart/update.js', { attributes: { [name]: value } }, { coalesceKey: `attribute:${name}` })
+      ));
+
+      this.dispatchCartEvent('cart:attributes-updated', { attributes });
+
+      return { success: true, data: results.length > 0 ? results[results.length - 1].data : null };
+    } catch (error) {
+      console.error('Update cart attributes error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Check a delivery date against the lead time, booking window and blackout days
+   * @param {string} value - Date as YYYY-MM-DD
+   * @param {Object} rules - leadTime and maxDays in days, blackoutWeekdays (0 is Sunday) and blackoutDates (YYYY-MM-DD)
+   * @param {Date} today - Reference date, defaults to now
+   * @returns {Object} valid and, when invalid, reason (invalid, too_soon, too_late or unavailable)
+   */
+  validateDeliveryDate(value, rules = {}, today = new Date()) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return { valid: false, reason: 'invalid' };
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (date.getMonth() !== Number(match[2]) - 1) return { valid: false, reason: 'invalid' };
+
+    const dayOffset = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+
+    if (date < dayOffset(rules.leadTime || 0)) return { valid: false, reason: 'too_soon' };
+    if (rules.maxDays && date > dayOffset(rules.maxDays)) return { valid: false, reason: 'too_late' };
+
+    if ((rules.blackoutWeekdays || []).includes(date.getDay()) || (rules.blackoutDates || []).includes(value)) {
+      return { valid: false, reason: 'unavailable' };
+    }
+
+    return { valid: true };
+  },
+
+  /**
+   * First date that passes validateDeliveryDate, used as the picker minimum
+   * @param {Object} rules - Rules as for validateDeliveryDate
+   * @param {Date} today - Reference date, defaults to now
+   * @returns {string|null} Date as YYYY-MM-DD, or null when no date is bookable
+   */
+  getEarliestDeliveryDate(rules = {}, today = new Date()) {
+    const lastDay = rules.maxDays || 365;
+
+    for (let offset = rules.leadTime || 0; offset <= lastDay; offset++) {
+      const value = this.formatDateValue(new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset));
+      if (this.validateDeliveryDate(value, rules, today).valid) return value;
+    }
+
+    return null;
+  },
+
+  /**
+   * Format a date as YYYY-MM-DD in local time for date inputs
+   */
+  formatDateValue(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  /**
+   * Discount codes currently on the cart
+   * @param {Object} cart - Cart data (defaults to the store snapshot)
+   * @returns {Array<Object>} Codes with their applicable flag
+   */
+  getDiscountCodes(cart = window.cartStore.getSnapshot()) {
+    return (cart && cart.discount_codes) || [];
+  },
+
+  /**
+   * Replace the cart's discount codes through the cart update endpoint
+   * @param {Array<string>} codes - Discount codes to keep on the cart
+   * @returns {Promise<Object>} Endpoint response and resulting cart
+   */
+  setDiscountCodes(codes) {
+    return this.queueMutation('/cart/update.js', { discount: codes.join(',') }, { coalesceKey: 'discount' });
+  },
+
   /**
    * Apply discount code
+   * Codes Shopify does not recognise, or that do not apply to the cart, are
+   * taken off again and reported with a reason the UI can explain
    * @param {string} discountCode - Discount code
-   * @returns {Promise<Object>} Result object
+   * @returns {Promise<Object>} Result object with success status and failure reason
    */
   async applyDiscountCode(discountCode) {
+    const code = (discountCode || '').trim();
+    const sameCode = (entry) => entry.code.toLowerCase() === code.toLowerCase();
+
+    if (!code) {
+      return { success: false, reason: 'empty', error: 'Discount code is required' };
+    }
+
+    const existingCodes = this.getDiscountCodes();
+    if (existingCodes.some(entry => sameCode(entry) && entry.applicable)) {
+      return { success: false, reason: 'already_applied', error: 'Discount code is already applied' };
+    }
+
+    const otherCodes = existingCodes.filter(entry => !sameCode(entry)).map(entry => entry.code);
+
     try {
-      const response = await fetch('/discount/' + discountCode);
-      
-      if (response.ok) {
-        // Redirect to checkout with discount
-        window.location.href = '/checkout?discount=' + encodeURIComponent(discountCode);
-        return { success: true };
-      } else {
-        throw new Error('Invalid discount code');
+      const { cart } = await this.setDiscountCodes([...otherCodes, code]);
+      const appliedCode = this.getDiscountCodes(cart).find(sameCode);
+
+      if (!appliedCode || !appliedCode.applicable) {
+        await this.setDiscountCodes(otherCodes);
+
+        const reason = appliedCode ? 'not_applicable' : 'invalid';
+        const error = appliedCode ? 'Discount code does not apply to this cart' : 'Discount code is not valid';
+
+        this.dispatchCartEvent('cart:discount-rejected', { code, reason });
+        return { success: false, reason, error };
       }
+
+      this.dispatchCartEvent('cart:discount-applied', { code: appliedCode.code });
+      return { success: true, data: cart };
     } catch (error) {
       console.error('Apply discount code error:', error);
-      return { success: false, error: error.message };
+      return { success: false, reason: 'error', error: error.message };
+    }
+  },
+
+  /**
+   * Remove discount code
+   * @param {string} discountCode - Discount code
+   * @returns {Promise<Object>} Result object with success status
+   */
+  async removeDiscountCode(discountCode) {
+    try {
+      const remainingCodes = this.getDiscountCodes()
+        .map(entry => entry.code)
+        .filter(code => code.toLowerCase() !== discountCode.toLowerCase());
+
+      const { cart } = await this.setDiscountCodes(remainingCodes);
+
+      this.dispatchCartEvent('cart:discount-removed', { code: discountCode });
+      return { success: true, data: cart };
+    } catch (error) {
+      console.error('Remove discount code error:', error);
+      return { success: false, reason: 'error', error: error.message };
     }
   },
 
@@ -366,9 +1009,9 @@ window.cartUtils = {
    * @returns {Object} Cart summary
    */
   getCartSummary() {
-    if (!this.cartCache?.data) return null;
-    
-    const cart = this.cartCache.data;
+    const cart = window.cartStore.getSnapshot();
+    if (!cart) return null;
+
     return {
       itemCount: cart.item_count,
       totalPrice: cart.total_price,
@@ -387,40 +1030,181 @@ window.cartUtils = {
   },
 
   /**
-   * Check if cart meets free shipping threshold
-   * @param {number} threshold - Free shipping threshold in cents
-   * @returns {Object} Free shipping info
+   * Check if cart meets the free shipping tier configured in theme settings
+   * @returns {Object|null} Free shipping info, or null when no tier applies
    */
-  getFreeShippingInfo(threshold = 7500) {
-    if (!this.cartCache?.data) return null;
-    
-    const cart = this.cartCache.data;
-    const remaining = threshold - cart.total_price;
-    
+  getFreeShippingInfo() {
+    const progress = window.cartRewards.getProgress(window.cartStore.getSnapshot());
+    const tier = progress && progress.tiers.find(tier => tier.type === 'shipping');
+    if (!tier) return null;
+
     return {
-      threshold,
-      currentTotal: cart.total_price,
-      remaining: Math.max(0, remaining),
-      qualifies: cart.total_price >= threshold,
-      percentage: Math.min(100, (cart.total_price / threshold) * 100)
+      threshold: tier.threshold,
+      currentTotal: tier.eligibleTotal,
+      remaining: tier.remaining,
+      qualifies: tier.qualifies,
+      percentage: tier.percentage
     };
   },
 
+  /**
+   * Fetch product recommendations for a single product
+   * @param {number} productId - Product ID
+   * @param {Object} options - intent ('complementary' or 'related') and limit
+   * @returns {Promise<Array>} Recommended products
+   */
+  async fetchProductRecommendations(productId, options = {}) {
+    const { intent = 'complementary', limit = 4 } = options;
+    const cacheKey = `${productId}:${intent}:${limit}`;
+    const cached = this.recommendationCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < this.recommendationCacheTime) {
+      return cached.products;
+    }
+
+    const params = new URLSearchParams({ product_id: productId, limit, intent });
+    const response = await fetch(`/recommendations/products.json?${params}`);
+
+    if (!response.ok) {
+      throw new Error(`Recommendations request failed with status ${response.status}`);
+    }
+
+    const { products = [] } = await response.json();
+    this.recommendationCache.set(cacheKey, { products, timestamp: Date.now() });
+
+    return products;
+  },
+
+  /**
+   * Recommendations for the products in the cart
+   * Merges the recommendations of every cart product, dropping duplicates,
+   * unavailable products and products that are already in the cart
+   * @param {Object} cart - Cart data
+   * @param {Object} options - intent and limit
+   * @returns {Promise<Array>} Recommended products
+   */
+  async getCartRecommendations(cart = window.cartStore.getSnapshot(), options = {}) {
+    const { limit = 4 } = options;
+    if (!cart || cart.items.length === 0) return [];
+
+    const cartProductIds = new Set(cart.items.map(item => item.product_id));
+    const results = await Promise.all([...cartProductIds].map(productId =>
+      this.fetchProductRecommendations(productId, options).catch(error => {
+        console.error('Cart recommendations error:', error);
+        return [];
+      })
+    ));
+
+    const recommendations = new Map();
+
+    // Take one product from each list in turn so every cart product is represented
+    const longest = Math.max(...results.map(products => products.length));
+    for (let index = 0; index < longest; index++) {
+      results.forEach(products => {
+        const product = products[index];
+        if (product && product.available && !cartProductIds.has(product.id) && !recommendations.has(product.id)) {
+          recommendations.set(product.id, product);
+        }
+      });
+    }
+
+    return [...recommendations.values()].slice(0, limit);
+  },
+
+  /**
+   * Fetch the stock of every cart line from the cart-inventory section
+   * @returns {Promise<Array>} Lines with key, variant_id, quantity, available, tracked and inventory_quantity
+   */
+  async fetchCartInventory() {
+    const response = await fetch('/?section_id=cart-inventory');
+
+    if (!response.ok) {
+      throw new Error(`Inventory request failed with status ${response.status}`);
+    }
+
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const inventoryElement = doc.querySelector('[data-cart-inventory]');
+
+    if (!inventoryElement) {
+      throw new Error('Inventory data not found');
+    }
+
+    return JSON.parse(inventoryElement.textContent);
+  },
+
+  /**
+   * Check every cart line against current stock before checkout
+   * Lines of the same variant share its stock, so it is handed out in cart order
+   * @returns {Promise<Object>} valid flag and issues ({ key, variantId, type: 'sold_out' | 'insufficient', quantity, available })
+   */
+  async validateCartInventory() {
+    // Validate the cart the shopper sees, not one with changes still in flight
+    await Promise.allSettled(this.mutationQueue.map(job => job.promise));
+
+    const lines = await this.fetchCartInventory();
+    const remainingStock = new Map();
+    const issues = [];
+
+    lines.forEach(line => {
+      if (line.tracked && !remainingStock.has(line.variant_id)) {
+        remainingStock.set(line.variant_id, Math.max(line.inventory_quantity, 0));
+      }
+
+      const remaining = line.tracked ? remainingStock.get(line.variant_id) : Infinity;
+      const issue = { key: line.key, variantId: line.variant_id, quantity: line.quantity };
+
+      if (!line.available || remaining === 0) {
+        issues.push({ ...issue, type: 'sold_out', available: 0 });
+      } else if (line.quantity > remaining) {
+        issues.push({ ...issue, type: 'insufficient', available: remaining });
+      }
+
+      if (line.tracked) {
+        remainingStock.set(line.variant_id, Math.max(remaining - line.quantity, 0));
+      }
+    });
+
+    return { valid: issues.length === 0, issues };
+  },
+
+  /**
+   * Bring flagged lines down to what is in stock, removing sold out lines
+   * Lines are addressed by key so removals cannot shift later changes
+   * @param {Array} issues - Issues from validateCartInventory
+   * @returns {Promise<Object>} Result object with success status
+   */
+  async resolveInventoryIssues(issues) {
+    try {
+      const results = await Promise.all(issues.map(issue =>
+        this.queueMutation('/cart/change.js', { id: issue.key, quantity: issue.available }, {
+          coalesceKey: `change:${issue.key}`,
+          optimistic: cart => this.setLineQuantity(cart, issue.key, issue.available)
+        })
+      ));
+
+      this.dispatchCartEvent('cart:inventory-adjusted', { issues });
+
+      return { success: true, data: results[results.length - 1].data };
+    } catch (error) {
+      console.error('Resolve inventory issues error:', error);
+      this.dispatchCartEvent('cart:error', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  },
+
   /**
    * Initialize cart utilities
    * Sets up event listeners and initial state
    */
   init() {
-    // Initialize cache
-    this.cartCache = null;
-    
-    // Update cart count on page load
+    // Render counts and notify components whenever the cart store changes
+    window.cartStore.subscribe((cart, meta) => this.handleCartChange(cart, meta));
+
+    // Load the cart on page load
     this.updateCartCount();
 
-    // Listen for cart updates from other sources
-    document.addEventListener('cart:updated', (e) => {
-      this.updateCartCount();
-    });
+    // Keep other open tabs in step with this one
+    this.setupCrossTabSync();
 
     // Handle cart drawer open/close events
     document.addEventListener('click', (e) => {
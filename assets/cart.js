@@ -6,8 +6,9 @@
 class CartSystem {
   constructor() {
     this.cart = null;
-    this.isUpdating = false;
     this.shippingRates = [];
+    this.shippingStrings = null;
+    this.isCalculatingShipping = false;
     this.init();
   }
 
@@ -20,8 +21,9 @@ class CartSystem {
   bindEvents() {
     // Cart update events
     document.addEventListener('cart:refresh', () => this.refreshCart());
-    document.addEventListener('cart:updated', (event) => this.handleCartUpdate(event.detail.cart));
+    document.addEventListener('cart:updated', (event) => this.handleCartUpdate(event.detail.cart, event.detail));
     document.addEventListener('variant:added', (event) => this.handleVariantAdded(event.detail.variant));
+    document.addEventListener('cart:rewards-updated', () => this.updateFreeShippingBar());
     
     // Quantity change events
     document.addEventListener('change', (event) => {
@@ -40,7 +42,14 @@ class CartSystem {
 
     // Shipping calculator events
     document.addEventListener('click', (event) => {
-      if (event.target.matches('#botao-calculo-frete')) {
+      if (event.target.closest('[data-shipping-calculate]')) {
+        event.preventDefault();
+        this.calculateShippingRates();
+      }
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && event.target.matches('[data-shipping-zip]')) {
         event.preventDefault();
         this.calculateShippingRates();
       }
@@ -49,11 +58,8 @@ class CartSystem {
 
   async refreshCart() {
     try {
-      const response = await fetch('/cart.js');
-      this.cart = await response.json();
-      this.updateCartUI();
-      this.updateFreeShippingBar();
-      this.dispatchCartUpdatedEvent();
+      // The cart store notifies subscribers through cart:updated
+      await window.cartStore.load(true);
     } catch (error) {
       console.error('Error refreshing cart:', error);
       this.showNotification('Erro ao atualizar carrinho', 'error');
@@ -61,79 +67,53 @@ class CartSystem {
   }
 
   async updateLineItem(input) {
-    if (this.isUpdating) return;
-    
-    this.isUpdating = true;
+    // cartUtils serializes overlapping changes, so rapid edits are not dropped
     const line = input.dataset.line;
-    const quantity = parseInt(input.value);
+    const item = window.cartStore.getSnapshot()?.items[line - 1];
+    const requested = parseInt(input.value) || 0;
+
+    // Quantities outside the variant's min, max or increment would be rejected at checkout
+    const quantity = window.cartUtils.normalizeQuantity(requested, window.cartUtils.getQuantityRule(item?.variant_id), { allowZero: true });
+
+    if (quantity !== requested) {
+      input.value = quantity;
+      this.showNotification(window.cartUtils.interpolate(window.cartUtils.getQuantityRuleStrings().adjusted, { quantity }), 'info');
+    }
     
     try {
-      const response = await fetch('/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          line: line,
-          quantity: quantity
-        })
-      });
-
-      if (response.ok) {
-        this.cart = await response.json();
-        this.updateCartUI();
-        this.updateFreeShippingBar();
-        this.dispatchCartUpdatedEvent();
+      const result = await window.cartUtils.updateCartItem(line, quantity);
+
+      if (result.success) {
         this.showNotification('Carrinho atualizado', 'success');
       } else {
-        throw new Error('Failed to update cart');
+        throw new Error(result.error || 'Failed to update cart');
       }
     } catch (error) {
       console.error('Error updating line item:', error);
       this.showNotification('Erro ao atualizar item', 'error');
       // Revert input value
-      input.value = this.cart.items[line - 1]?.quantity || 1;
-    } finally {
-      this.isUpdating = false;
+      input.value = this.cart?.items[line - 1]?.quantity || 1;
     }
   }
 
   async removeLineItem(button) {
-    if (this.isUpdating) return;
-    
-    this.isUpdating = true;
     const line = button.dataset.line;
     
     try {
-      const response = await fetch('/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          line: line,
-          quantity: 0
-        })
-      });
-
-      if (response.ok) {
-        this.cart = await response.json();
-        this.updateCartUI();
-        this.updateFreeShippingBar();
-        this.dispatchCartUpdatedEvent();
+      const result = await window.cartUtils.removeFromCart(line);
+
+      if (result.success) {
         this.showNotification('Item removido do carrinho', 'success');
       } else {
-        throw new Error('Failed to remove item');
+        throw new Error(result.error || 'Failed to remove item');
       }
     } catch (error) {
       console.error('Error removing line item:', error);
       this.showNotification('Erro ao remover item', 'error');
-    } finally {
-      this.isUpdating = false;
     }
   }
 
-  updateCartUI() {
+  updateCartUI(options = {}) {
     // Update cart count in header
     const cartCountElements = document.querySelectorAll('.cart-count');
     cartCountElements.forEach(element => {
@@ -148,10 +128,10 @@ class CartSystem {
     });
 
     // Update mini-cart content
-    this.updateMiniCart();
+    this.updateMiniCart(options);
   }
 
-  updateMiniCart() {
+  updateMiniCart(options = {}) {
     const miniCart = document.getElementById('mini-cart');
     if (!miniCart) return;
 
@@ -165,22 +145,10 @@ class CartSystem {
       }
     }
 
-    // Update cart content
-    const content = miniCart.querySelector('.drawer__content');
-    if (content) {
-      if (this.cart.item_count === 0) {
-        content.innerHTML = `
-          <div class="drawer__content drawer__content--center">
-            <p>Carrinho vazio</p>
-            <div class="button-wrapper">
-              <a href="/collections/all" class="button button--primary">Começar a comprar</a>
-            </div>
-          </div>
-        `;
-      } else {
-        // Update existing items or reload the section
-        this.reloadMiniCartSection();
-      }
+    // Reload the section, including the empty state, which keeps the saved-for-later list.
+    // Optimistic drafts are not on the server yet, so the section would undo them
+    if (!options.optimistic && miniCart.querySelector('.drawer__content')) {
+      this.reloadMiniCartSection();
     }
   }
 
@@ -195,6 +163,9 @@ class CartSystem {
       if (newMiniCart) {
         const currentMiniCart = document.getElementById('mini-cart');
         currentMiniCart.innerHTML = newMiniCart.innerHTML;
+
+        // Lets the express checkout buttons initialise the new markup
+        document.dispatchEvent(new CustomEvent('cart:drawer-rendered'));
       }
     } catch (error) {
       console.error('Error reloading mini-cart:', error);
@@ -202,70 +173,158 @@ class CartSystem {
   }
 
   updateFreeShippingBar() {
-    const freeShippingBar = document.querySelector('.shipping-bar');
-    if (!freeShippingBar) return;
+    const freeShippingBars = document.querySelectorAll('.shipping-bar');
+    if (freeShippingBars.length === 0 || !this.cart) return;
 
-    const threshold = parseInt(freeShippingBar.dataset.threshold);
-    const currentTotal = this.cart.total_price;
-    const progress = Math.min(currentTotal / threshold, 1);
+    const progress = window.cartRewards.getProgress(this.cart);
+    const message = window.cartRewards.getMessage(progress, (cents) => this.formatMoney(cents));
 
-    freeShippingBar.style.setProperty('--progress', progress);
+    freeShippingBars.forEach(freeShippingBar => {
+      freeShippingBar.hidden = !progress;
+      if (!progress) return;
 
-    const text = freeShippingBar.querySelector('.shipping-bar__text');
-    if (text) {
-      if (currentTotal >= threshold) {
-        text.textContent = 'Frete grátis!';
-      } else {
-        const remaining = threshold - currentTotal;
-        text.textContent = `Faltam ${this.formatMoney(remaining)} para frete grátis`;
+      freeShippingBar.style.setProperty('--progress', progress.percentage / 100);
+
+      const text = freeShippingBar.querySelector('.shipping-bar__text');
+      if (text) {
+        text.textContent = message;
       }
-    }
+    });
   }
 
   initializeShippingCalculator() {
-    const zipInput = document.getElementById('zip-code');
-    const calculateBtn = document.getElementById('botao-calculo-frete');
-    
-    if (zipInput) {
-      zipInput.addEventListener('input', (event) => {
+    // Delegated so the calculator keeps working after the mini-cart is re-rendered
+    document.addEventListener('input', (event) => {
+      if (event.target.matches('[data-shipping-zip]')) {
         this.formatZipCode(event.target);
         this.validateZipCode(event.target);
-      });
-      
-      zipInput.addEventListener('paste', (event) => {
-        setTimeout(() => {
-          this.formatZipCode(event.target);
-          this.validateZipCode(event.target);
-        }, 10);
-      });
+      }
+    });
+
+    document.addEventListener('change', (event) => {
+      if (event.target.matches('[data-shipping-country]')) {
+        this.updateProvinces(event.target);
+        this.validateZipCode(document.getElementById('zip-code'));
+      }
+    });
+
+    const countrySelect = document.getElementById('shipping-country');
+    if (countrySelect) {
+      this.selectDefaultOption(countrySelect);
+      this.updateProvinces(countrySelect);
     }
-    
-    if (calculateBtn) {
-      calculateBtn.addEventListener('click', (event) => {
-        event.preventDefault();
-        this.calculateShippingRates();
-      });
+
+    const zipInput = document.getElementById('zip-code');
+    if (zipInput && zipInput.value) {
+      this.validateZipCode(zipInput);
+    }
+  }
+
+  /**
+   * Postal code pattern for a country, keyed by the values country_option_tags emits
+   * Countries without an entry accept any non-empty postal code
+   */
+  getPostalCodePattern(country) {
+    const patterns = {
+      'Brazil': /^\d{5}-?\d{3}$/,
+      'United States': /^\d{5}(-\d{4})?$/,
+      'Canada': /^[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d$/,
+      'Mexico': /^\d{5}$/,
+      'Argentina': /^([A-Za-z]\d{4}[A-Za-z]{3}|\d{4})$/,
+      'Chile': /^\d{7}$/,
+      'Colombia': /^\d{6}$/,
+      'Spain': /^\d{5}$/,
+      'Portugal': /^\d{4}-\d{3}$/,
+      'France': /^\d{5}$/,
+      'Germany': /^\d{5}$/,
+      'Italy': /^\d{5}$/,
+      'Netherlands': /^\d{4} ?[A-Za-z]{2}$/,
+      'United Kingdom': /^[A-Za-z]{1,2}\d[A-Za-z\d]? ?\d[A-Za-z]{2}$/,
+      'Australia': /^\d{4}$/
+    };
+
+    return patterns[country] || null;
+  }
+
+  getShippingStrings() {
+    if (!this.shippingStrings) {
+      const stringsElement = document.querySelector('[data-shipping-strings]');
+      this.shippingStrings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+    }
+    return this.shippingStrings;
+  }
+
+  selectDefaultOption(select) {
+    const defaultValue = select.dataset.default;
+    if (!defaultValue) return;
+
+    const option = Array.from(select.options).find(option => option.value === defaultValue);
+    if (option) {
+      select.value = option.value;
     }
   }
 
+  updateProvinces(countrySelect) {
+    const provinceSelect = document.getElementById('shipping-province');
+    const provinceWrapper = document.querySelector('[data-shipping-province-wrapper]');
+    if (!provinceSelect) return;
+
+    const selectedOption = countrySelect.options[countrySelect.selectedIndex];
+    const provinces = selectedOption ? JSON.parse(selectedOption.dataset.provinces || '[]') : [];
+
+    provinceSelect.replaceChildren(...provinces.map(([value, label]) => new Option(label, value)));
+    this.selectDefaultOption(provinceSelect);
+
+    if (provinceWrapper) {
+      provinceWrapper.hidden = provinces.length === 0;
+    }
+  }
+
+  getShippingAddress() {
+    const countrySelect = document.getElementById('shipping-country');
+    const provinceSelect = document.getElementById('shipping-province');
+    const zipInput = document.getElementById('zip-code');
+
+    return {
+      country: countrySelect ? countrySelect.value : '',
+      province: provinceSelect && provinceSelect.options.length > 0 ? provinceSelect.value : '',
+      zip: zipInput ? zipInput.value.trim() : ''
+    };
+  }
+
+  isValidZipCode(zipCode, country) {
+    const pattern = this.getPostalCodePattern(country);
+    return pattern ? pattern.test(zipCode) : zipCode.length > 0;
+  }
+
   formatZipCode(input) {
-    let value = input.value.replace(/\D/g, '');
-    if (value.length > 5) {
-      value = value.substring(0, 5) + '-' + value.substring(5, 8);
+    const { country } = this.getShippingAddress();
+
+    // Brazilian CEPs are typed as digits and shown as 00000-000
+    if (country === 'Brazil') {
+      let value = input.value.replace(/\D/g, '');
+      if (value.length > 5) {
+        value = value.substring(0, 5) + '-' + value.substring(5, 8);
+      }
+      input.value = value;
     }
-    input.value = value;
   }
 
   validateZipCode(input) {
+    if (!input) return;
+
     const button = document.getElementById('botao-calculo-frete');
     const errorElement = document.getElementById('shipping-error');
-    const zipCode = input.value.replace(/\D/g, '');
+    const { country } = this.getShippingAddress();
+    const isValid = this.isValidZipCode(input.value.trim(), country);
     
     if (errorElement) {
       errorElement.style.display = 'none';
     }
+
+    input.setAttribute('aria-invalid', input.value.trim() !== '' && !isValid);
     
-    if (zipCode.length === 8) {
+    if (isValid) {
       if (button) {
         button.disabled = false;
         button.classList.add('cart-drawer__shipping-btn--valid');
@@ -279,22 +338,23 @@ class CartSystem {
   }
 
   async calculateShippingRates() {
-    const zipInput = document.getElementById('zip-code');
     const button = document.getElementById('botao-calculo-frete');
     const loader = document.getElementById('loader-botao-frete');
     const result = document.getElementById('result-cep');
     const errorElement = document.getElementById('shipping-error');
+    const strings = this.getShippingStrings();
 
-    if (!zipInput || !button || !result) return;
+    if (!button || !result || this.isCalculatingShipping) return;
 
-    const zipCode = zipInput.value.replace(/\D/g, '');
+    const address = this.getShippingAddress();
     
-    if (zipCode.length !== 8) {
-      this.showShippingError('CEP deve ter 8 dígitos');
+    if (!this.isValidZipCode(address.zip, address.country)) {
+      this.showShippingError(strings.invalidZip);
       return;
     }
 
     // Show loading state
+    this.isCalculatingShipping = true;
     button.disabled = true;
     button.classList.add('cart-drawer__shipping-btn--loading');
     if (loader) loader.style.display = 'inline-block';
@@ -302,53 +362,121 @@ class CartSystem {
     if (errorElement) errorElement.style.display = 'none';
 
     try {
-      // Simulate API call - replace with actual shipping API
-      const response = await this.fetchShippingRates(zipCode);
+      const response = await this.fetchShippingRates(address);
       
-      if (response.success) {
-        this.displayShippingRates(response.rates);
+      if (!response.success) {
+        this.showShippingError(response.message || strings.error);
+      } else if (response.rates.length === 0) {
+        this.showShippingError(strings.noRates);
       } else {
-        this.showShippingError(response.message || 'Erro ao calcular frete');
+        this.shippingRates = response.rates;
+        this.displayShippingRates(response.rates);
       }
     } catch (error) {
       console.error('Error calculating shipping:', error);
-      this.showShippingError('Erro ao calcular frete');
+      this.showShippingError(strings.error);
     } finally {
+      this.isCalculatingShipping = false;
       button.disabled = false;
       button.classList.remove('cart-drawer__shipping-btn--loading');
       if (loader) loader.style.display = 'none';
     }
   }
 
-  async fetchShippingRates(zipCode) {
-    // This is a placeholder - replace with actual shipping API integration
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        resolve({
-          success: true,
-          rates: [
-            { name: 'PAC', price: 1500, days: '5-7 dias úteis' },
-            { name: 'SEDEX', price: 2500, days: '2-3 dias úteis' },
-            { name: 'SEDEX 10', price: 3500, days: '1 dia útil' }
-          ]
-        });
-      }, 1000);
+  /**
+   * Ask Shopify to calculate rates for the cart, then poll until they are ready
+   * @param {Object} address - country, province and zip
+   * @returns {Promise<Object>} Result with success status and normalized rates
+   */
+  async fetchShippingRates(address, { pollInterval = 500, maxAttempts = 20 } = {}) {
+    const params = new URLSearchParams({
+      'shipping_address[zip]': address.zip,
+      'shipping_address[country]': address.country,
+      'shipping_address[province]': address.province
     });
+
+    const prepareResponse = await fetch(`/cart/prepare_shipping_rates.json?${params}`, { method: 'POST' });
+
+    if (!prepareResponse.ok) {
+      const errors = await prepareResponse.json().catch(() => ({}));
+      return { success: false, message: this.formatShippingErrors(errors) };
+    }
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const response = await fetch(`/cart/async_shipping_rates.json?${params}`);
+
+      if (!response.ok) {
+        const errors = await response.json().catch(() => ({}));
+        return { success: false, message: this.formatShippingErrors(errors) };
+      }
+
+      // Shopify answers null until the rates have been calculated
+      const data = await response.json().catch(() => null);
+      if (data && Array.isArray(data.shipping_rates)) {
+        return { success: true, rates: data.shipping_rates.map(rate => this.normalizeShippingRate(rate)) };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+
+    return { success: false, message: this.getShippingStrings().error };
+  }
+
+  /**
+   * Turn Shopify's field errors ({ zip: ['is not valid for Brazil'] }) into one message
+   */
+  formatShippingErrors(errors) {
+    const messages = Object.entries(errors || {})
+      .filter(([, value]) => Array.isArray(value))
+      .map(([field, value]) => `${field} ${value.join(', ')}`);
+
+    return messages.length > 0 ? messages.join('. ') : this.getShippingStrings().error;
+  }
+
+  normalizeShippingRate(rate) {
+    return {
+      name: rate.presentment_name || rate.name,
+      price: window.moneyUtils.toCents(rate.price),
+      days: this.formatDeliveryWindow(rate)
+    };
+  }
+
+  formatDeliveryWindow(rate) {
+    const strings = this.getShippingStrings();
+    const locale = document.documentElement.lang || undefined;
+
+    if (Array.isArray(rate.delivery_range) && rate.delivery_range.length === 2) {
+      // Delivery dates are calendar dates, so format them without a timezone shift
+      const dateFormat = new Intl.DateTimeFormat(locale, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+      const [start, end] = rate.delivery_range.map(date => dateFormat.format(new Date(date)));
+      return start === end ? start : window.cartUtils.interpolate(strings.deliveryRange, { start, end });
+    }
+
+    if (Array.isArray(rate.delivery_days) && rate.delivery_days.length > 0) {
+      const [min, max = min] = rate.delivery_days;
+      const days = min === max ? `${min}` : `${min}–${max}`;
+      return window.cartUtils.interpolate(max === 1 ? strings.deliveryDay : strings.deliveryDays, { days });
+    }
+
+    return '';
   }
 
   displayShippingRates(rates) {
     const result = document.getElementById('result-cep');
     if (!result) return;
 
+    const strings = this.getShippingStrings();
+    const escape = window.cartUtils.escapeHtml;
+
     let html = '<div class="cart-drawer__shipping-rates">';
     rates.forEach(rate => {
       html += `
         <div class="cart-drawer__shipping-rate">
           <div class="cart-drawer__shipping-rate-info">
-            <span class="cart-drawer__shipping-rate-name">${rate.name}</span>
-            <span class="cart-drawer__shipping-rate-days">${rate.days}</span>
+            <span class="cart-drawer__shipping-rate-name">${escape(rate.name)}</span>
+            ${rate.days ? `<span class="cart-drawer__shipping-rate-days">${escape(rate.days)}</span>` : ''}
           </div>
-          <span class="cart-drawer__shipping-rate-price">${this.formatMoney(rate.price)}</span>
+          <span class="cart-drawer__shipping-rate-price">${rate.price === 0 ? escape(strings.free) : this.formatMoney(rate.price)}</span>
         </div>
       `;
     });
@@ -411,9 +539,15 @@ class CartSystem {
     }, 3000);
   }
 
-  handleCartUpdate(cart) {
+  /**
+   * @param {Object} cart - Cart data
+   * @param {Object} detail - cart:updated details; optimistic drafts skip the section reload
+   */
+  handleCartUpdate(cart, detail = {}) {
+    if (!cart) return;
+
     this.cart = cart;
-    this.updateCartUI();
+    this.updateCartUI({ optimistic: detail.optimistic });
     this.updateFreeShippingBar();
   }
 
@@ -421,18 +555,8 @@ class CartSystem {
     this.showNotification(`${variant.product_title} adicionado ao carrinho`, 'success');
   }
 
-  dispatchCartUpdatedEvent() {
-    document.dispatchEvent(new CustomEvent('cart:updated', {
-      detail: { cart: this.cart },
-      bubbles: true
-    }));
-  }
-
   formatMoney(cents) {
-    return new Intl.NumberFormat('pt-BR', {
-      style: 'currency',
-      currency: 'BRL'
-    }).format(cents / 100);
+    return window.moneyUtils.formatMoney(cents, { currency: this.cart?.currency });
   }
 }
 
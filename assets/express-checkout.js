@@ -0,0 +1,166 @@
+/**
+ * Express Checkout - Accelerated checkout buttons outside the cart page
+ * Shopify renders wallet buttons (Shop Pay, Apple Pay, PayPal...) into the
+ * [data-express-checkout] containers of the cart drawer and sticky add to cart.
+ * Markup swapped in with JavaScript has to be initialised again, and containers
+ * whose wallets never appear are hidden so only the regular buttons remain
+ */
+
+window.expressCheckout = {
+  config: {
+    containerSelector: '[data-express-checkout]',
+    // Elements Shopify renders wallets into; a stub element matching one of these stands in for a wallet in tests
+    walletSelector: 'shopify-accelerated-checkout, shopify-accelerated-checkout-cart, .shopify-payment-button, [data-shopify-buttoncontainer]',
+    pollInterval: 200,
+    renderTimeout: 4000
+  },
+
+  /**
+   * Ask Shopify's storefront scripts to initialise wallet buttons added since page load
+   * @returns {boolean} True when an initialiser was available
+   */
+  initializeWallets() {
+    const shopify = window.Shopify || {};
+    let initialized = false;
+
+    try {
+      if (shopify.StorefrontExpressButtons && typeof shopify.StorefrontExpressButtons.initialize === 'function') {
+        shopify.StorefrontExpressButtons.initialize();
+        initialized = true;
+      }
+
+      if (shopify.PaymentButton && typeof shopify.PaymentButton.init === 'function') {
+        shopify.PaymentButton.init();
+        initialized = true;
+      }
+    } catch (error) {
+      console.error('Express checkout error:', error);
+    }
+
+    return initialized;
+  },
+
+  /**
+   * Whether at least one wallet in the container has drawn its button
+   * @param {HTMLElement} container - Express checkout container
+   * @returns {boolean} True when a wallet is showing
+   */
+  hasRenderedWallet(container) {
+    return Array.from(container.querySelectorAll(this.config.walletSelector)).some(wallet =>
+      wallet.childElementCount > 0 || Boolean(wallet.shadowRoot) || wallet.getBoundingClientRect().height > 0
+    );
+  },
+
+  /**
+   * Poll until a wallet has rendered or the timeout passes
+   * @param {HTMLElement} container - Express checkout container
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<boolean>} True when a wallet rendered in time
+   */
+  waitForWallet(container, timeout) {
+    return new Promise(resolve => {
+      const startedAt = Date.now();
+
+      const check = () => {
+        if (this.hasRenderedWallet(container)) {
+          resolve(true);
+        } else if (Date.now() - startedAt >= timeout) {
+          resolve(false);
+        } else {
+          setTimeout(check, this.config.pollInterval);
+        }
+      };
+
+      check();
+    });
+  },
+
+  /**
+   * Initialise the wallets in one container and show or hide it
+   * @param {HTMLElement} container - Express checkout container
+   * @param {Object} options - timeout in milliseconds
+   * @returns {Promise<boolean>} True when wallets are showing
+   */
+  async render(container, options = {}) {
+    if (!container) return false;
+
+    // A newer render of the same container wins over one still waiting
+    const renderId = (container.expressCheckoutRenderId || 0) + 1;
+    container.expressCheckoutRenderId = renderId;
+
+    if (!container.querySelector(this.config.walletSelector)) {
+      this.setState(container, 'unavailable');
+      return false;
+    }
+
+    this.setState(container, 'loading');
+    this.initializeWallets();
+
+    const rendered = await this.waitForWallet(container, options.timeout ?? this.config.renderTimeout);
+
+    if (container.expressCheckoutRenderId === renderId) {
+      this.setState(container, rendered ? 'ready' : 'unavailable');
+    }
+
+    return rendered;
+  },
+
+  /**
+   * Render every express checkout container inside an element
+   * @param {HTMLElement|Document} root - Element to search
+   * @returns {Promise<Array>} Render results
+   */
+  renderAll(root = document) {
+    return Promise.all(Array.from(root.querySelectorAll(this.config.containerSelector), container => this.render(container)));
+  },
+
+  /**
+   * Record the container state; unavailable containers are hidden so the
+   * regular checkout or add to cart button is the only option left
+   * @param {HTMLElement} container - Express checkout container
+   * @param {string} state - loading, ready or unavailable
+   */
+  setState(container, state) {
+    container.dataset.expressCheckoutState = state;
+    container.hidden = state === 'unavailable';
+    container.dispatchEvent(new CustomEvent('express-checkout:state', { bubbles: true, detail: { state } }));
+  },
+
+  getCartDrawer() {
+    return document.querySelector('cart-drawer');
+  },
+
+  /**
+   * Render the drawer's wallets when it opens, unless they are already showing
+   */
+  renderCartDrawer() {
+    const drawer = this.getCartDrawer();
+    if (!drawer) return;
+
+    drawer.querySelectorAll(this.config.containerSelector).forEach(container => {
+      if (container.dataset.expressCheckoutState !== 'ready') this.render(container);
+    });
+  },
+
+  setupEventListeners() {
+    const drawer = this.getCartDrawer();
+
+    if (drawer) {
+      drawer.addEventListener('cart-drawer:opened', () => this.renderCartDrawer());
+    }
+
+    // Cart mutations re-render the drawer section, replacing the wallet markup
+    document.addEventListener('cart:drawer-rendered', () => {
+      const cartDrawer = this.getCartDrawer();
+      if (cartDrawer && cartDrawer.isOpen) this.renderCartDrawer();
+    });
+  },
+
+  init() {
+    this.setupEventListeners();
+  }
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  window.expressCheckout.init();
+});
@@ -0,0 +1,454 @@
+/**
+ * Lightbox Zoom - Pinch, double-tap, wheel and keyboard zoom for the product lightbox
+ * Built on pointer events so touch, pen and mouse share one code path. The image
+ * is moved with a CSS transform; once zoomed in, a higher resolution version is
+ * requested from the Shopify CDN and swapped in when it has loaded
+ */
+
+window.lightboxZoom = {
+  config: {
+    minScale: 1,
+    maxScale: 5,
+    doubleTapDelay: 300, // ms between taps
+    doubleTapDistance: 30, // px between taps
+    tapMovement: 10, // px a pointer may move and still count as a tap
+    wheelSensitivity: 0.002,
+    keyboardStep: 0.5,
+    keyboardPan: 60, // px per arrow key press
+    friction: 0.92, // velocity kept per animation frame
+    minVelocity: 0.02, // px per ms below which inertia stops
+    swipeDistance: 50, // px an unzoomed horizontal swipe needs to change image
+    hiResWidth: 4000
+  },
+
+  state: {
+    scale: 1,
+    x: 0,
+    y: 0,
+    pointers: new Map(),
+    gesture: null,
+    lastTap: null,
+    velocity: { x: 0, y: 0 },
+    inertiaFrame: null
+  },
+
+  /**
+   * Attach the zoom engine to a lightbox
+   * @param {HTMLElement} container - Element receiving the gestures, clips the zoomed image
+   * @param {HTMLImageElement} image - Image to zoom
+   * @param {Object} options - doubleTapScale and onSwipe(direction) callback
+   */
+  attach(container, image, options = {}) {
+    this.container = container;
+    this.image = image;
+    this.options = options;
+
+    container.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    container.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    container.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    container.addEventListener('pointercancel', this.handlePointerUp.bind(this));
+    container.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+
+    // Stop the browser from dragging the image out as a file
+    image.addEventListener('dragstart', (e) => e.preventDefault());
+    image.addEventListener('load', () => this.clampPan());
+  },
+
+  /**
+   * Return to the unzoomed image, e.g. when the lightbox opens or changes image
+   */
+  reset() {
+    this.stopInertia();
+    this.state.pointers.clear();
+    this.state.gesture = null;
+    this.state.lastTap = null;
+    this.state.scale = 1;
+    this.state.x = 0;
+    this.state.y = 0;
+    this.apply();
+  },
+
+  isZoomed() {
+    return this.state.scale > this.config.minScale;
+  },
+
+  /**
+   * Zoom to a scale while keeping one point of the image under the same screen position
+   * @param {number} scale - Target scale
+   * @param {Object} origin - { x, y } in client coordinates, defaults to the image centre
+   */
+  zoomTo(scale, origin = this.getCenter()) {
+    const { minScale, maxScale } = this.config;
+    const newScale = Math.min(maxScale, Math.max(minScale, scale));
+    const point = this.toCenterOffset(origin);
+    const ratio = newScale / this.state.scale;
+
+    this.state.x = point.x - (point.x - this.state.x) * ratio;
+    this.state.y = point.y - (point.y - this.state.y) * ratio;
+    this.state.scale = newScale;
+
+    this.clampPan();
+    this.apply();
+
+    if (this.isZoomed()) this.loadHighResolution();
+  },
+
+  zoomBy(step, origin) {
+    this.zoomTo(this.state.scale + step, origin);
+  },
+
+  /**
+   * Move the zoomed image by a distance
+   * @param {number} dx - Horizontal distance in px
+   * @param {number} dy - Vertical distance in px
+   */
+  panBy(dx, dy) {
+    this.state.x += dx;
+    this.state.y += dy;
+    this.clampPan();
+    this.apply();
+  },
+
+  /**
+   * Keep the zoomed image covering its frame
+   * @returns {Object} { x, y } true for an axis that hit an edge
+   */
+  clampPan() {
+    if (!this.image) return { x: false, y: false };
+
+    const maxX = Math.max(0, (this.state.scale - 1) * this.image.offsetWidth / 2);
+    const maxY = Math.max(0, (this.state.scale - 1) * this.image.offsetHeight / 2);
+    const x = Math.min(maxX, Math.max(-maxX, this.state.x));
+    const y = Math.min(maxY, Math.max(-maxY, this.state.y));
+    const hitEdge = { x: x !== this.state.x, y: y !== this.state.y };
+
+    this.state.x = x;
+    this.state.y = y;
+    return hitEdge;
+  },
+
+  apply() {
+    if (!this.image) return;
+
+    const { scale, x, y } = this.state;
+    this.image.style.transform = scale === 1 && x === 0 && y === 0
+      ? ''
+      : `translate3d(${x}px, ${y}px, 0) scale(${scale})`;
+
+    if (this.container) {
+      this.container.classList.toggle('is-zoomed', this.isZoomed());
+    }
+  },
+
+  handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    this.stopInertia();
+    this.state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.container.setPointerCapture) {
+      this.container.setPointerCapture(e.pointerId);
+    }
+
+    this.startGesture(e);
+  },
+
+  /**
+   * Record where a gesture starts; a second finger turns a pan into a pinch
+   */
+  startGesture(e) {
+    const pointers = Array.from(this.state.pointers.values());
+
+    if (pointers.length >= 2) {
+      const midpoint = this.getMidpoint(pointers[0], pointers[1]);
+      const offset = this.toCenterOffset(midpoint);
+
+      this.state.gesture = {
+        type: 'pinch',
+        startDistance: this.getDistance(pointers[0], pointers[1]),
+        startScale: this.state.scale,
+        // Image point under the fingers, in unscaled px from the image centre
+        anchor: {
+          x: (offset.x - this.state.x) / this.state.scale,
+          y: (offset.y - this.state.y) / this.state.scale
+        }
+      };
+    } else {
+      this.state.gesture = {
+        type: 'pan',
+        startX: e.clientX,
+        startY: e.clientY,
+        originX: this.state.x,
+        originY: this.state.y,
+        moved: false,
+        lastTime: e.timeStamp,
+        lastX: e.clientX,
+        lastY: e.clientY
+      };
+      this.state.velocity = { x: 0, y: 0 };
+    }
+  },
+
+  handlePointerMove(e) {
+    if (!this.state.pointers.has(e.pointerId)) return;
+
+    this.state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const gesture = this.state.gesture;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch') {
+      const pointers = Array.from(this.state.pointers.values());
+      if (pointers.length < 2) return;
+
+      const midpoint = this.toCenterOffset(this.getMidpoint(pointers[0], pointers[1]));
+      const scale = gesture.startScale * this.getDistance(pointers[0], pointers[1]) / gesture.startDistance;
+
+      this.state.scale = Math.min(this.config.maxScale, Math.max(this.config.minScale, scale));
+      this.state.x = midpoint.x - gesture.anchor.x * this.state.scale;
+      this.state.y = midpoint.y - gesture.anchor.y * this.state.scale;
+      this.clampPan();
+      this.apply();
+      return;
+    }
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+    if (Math.hypot(dx, dy) > this.config.tapMovement) gesture.moved = true;
+
+    if (!this.isZoomed()) return;
+
+    // Velocity of the latest movement drives the inertia after release
+    const elapsed = e.timeStamp - gesture.lastTime;
+    if (elapsed > 0) {
+      this.state.velocity = {
+        x: (e.clientX - gesture.lastX) / elapsed,
+        y: (e.clientY - gesture.lastY) / elapsed
+      };
+    }
+    gesture.lastTime = e.timeStamp;
+    gesture.lastX = e.clientX;
+    gesture.lastY = e.clientY;
+
+    this.state.x = gesture.originX + dx;
+    this.state.y = gesture.originY + dy;
+    this.clampPan();
+    this.apply();
+  },
+
+  handlePointerUp(e) {
+    if (!this.state.pointers.has(e.pointerId)) return;
+
+    const gesture = this.state.gesture;
+    this.state.pointers.delete(e.pointerId);
+
+    if (gesture && gesture.type === 'pinch') {
+      if (this.isZoomed()) this.loadHighResolution();
+
+      // The finger left on the screen carries on panning from here
+      if (this.state.pointers.size === 1) {
+        const [pointer] = this.state.pointers.values();
+        this.startGesture({ clientX: pointer.x, clientY: pointer.y, timeStamp: e.timeStamp });
+        this.state.gesture.moved = true;
+      } else if (this.state.pointers.size === 0) {
+        this.state.gesture = null;
+      }
+      return;
+    }
+
+    this.state.gesture = null;
+    if (!gesture || e.type === 'pointercancel') return;
+
+    if (!gesture.moved) {
+      this.handleTap(e);
+    } else if (this.isZoomed()) {
+      // A pause before lifting the finger means no fling
+      if (e.timeStamp - gesture.lastTime < 100) this.startInertia();
+    } else {
+      this.handleSwipe(e.clientX - gesture.startX, e.clientY - gesture.startY);
+    }
+  },
+
+  /**
+   * Double tap or double click toggles between the unzoomed image and the tap zoom level
+   */
+  handleTap(e) {
+    const lastTap = this.state.lastTap;
+    const isDoubleTap = lastTap &&
+      e.timeStamp - lastTap.time < this.config.doubleTapDelay &&
+      Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < this.config.doubleTapDistance;
+
+    if (!isDoubleTap) {
+      this.state.lastTap = { time: e.timeStamp, x: e.clientX, y: e.clientY };
+      return;
+    }
+
+    this.state.lastTap = null;
+
+    if (this.isZoomed()) {
+      this.zoomTo(this.config.minScale);
+    } else {
+      this.zoomTo(this.options.doubleTapScale || 2.5, { x: e.clientX, y: e.clientY });
+    }
+  },
+
+  handleSwipe(dx, dy) {
+    if (typeof this.options.onSwipe !== 'function') return;
+    if (Math.abs(dx) < this.config.swipeDistance || Math.abs(dx) < Math.abs(dy)) return;
+
+    this.options.onSwipe(dx < 0 ? 1 : -1);
+  },
+
+  handleWheel(e) {
+    e.preventDefault();
+
+    // Pinch on a trackpad arrives as a wheel event with ctrlKey and small deltas
+    const sensitivity = e.ctrlKey ? this.config.wheelSensitivity * 5 : this.config.wheelSensitivity;
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+
+    this.zoomTo(this.state.scale * Math.exp(-delta * sensitivity), { x: e.clientX, y: e.clientY });
+  },
+
+  /**
+   * Keyboard controls: + and - zoom, 0 resets, arrow keys pan while zoomed
+   * @param {KeyboardEvent} e - Keydown event
+   * @returns {boolean} True when the key was used
+   */
+  handleKeydown(e) {
+    const step = this.config.keyboardStep;
+    const pan = this.config.keyboardPan;
+
+    switch (e.key) {
+      case '+':
+      case '=':
+        this.zoomBy(step);
+        break;
+      case '-':
+      case '_':
+        this.zoomBy(-step);
+        break;
+      case '0':
+        this.zoomTo(this.config.minScale);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown':
+        if (!this.isZoomed()) return false;
+        this.panBy(
+          e.key === 'ArrowLeft' ? pan : e.key === 'ArrowRight' ? -pan : 0,
+          e.key === 'ArrowUp' ? pan : e.key === 'ArrowDown' ? -pan : 0
+        );
+        break;
+      default:
+        return false;
+    }
+
+    e.preventDefault();
+    return true;
+  },
+
+  startInertia() {
+    let lastTime = performance.now();
+
+    const step = (time) => {
+      const elapsed = time - lastTime;
+      lastTime = time;
+
+      const { velocity } = this.state;
+      const decay = Math.pow(this.config.friction, elapsed / 16);
+      velocity.x *= decay;
+      velocity.y *= decay;
+
+      this.state.x += velocity.x * elapsed;
+      this.state.y += velocity.y * elapsed;
+
+      // Running into an edge stops movement along that axis
+      const hitEdge = this.clampPan();
+      if (hitEdge.x) velocity.x = 0;
+      if (hitEdge.y) velocity.y = 0;
+      this.apply();
+
+      if (Math.hypot(velocity.x, velocity.y) < this.config.minVelocity) {
+        this.state.inertiaFrame = null;
+        return;
+      }
+
+      this.state.inertiaFrame = requestAnimationFrame(step);
+    };
+
+    this.state.inertiaFrame = requestAnimationFrame(step);
+  },
+
+  stopInertia() {
+    if (this.state.inertiaFrame) {
+      cancelAnimationFrame(this.state.inertiaFrame);
+      this.state.inertiaFrame = null;
+    }
+  },
+
+  /**
+   * Swap in a sharper image from the Shopify CDN the first time an image is zoomed
+   */
+  loadHighResolution() {
+    const image = this.image;
+    if (!image || !image.src || image.dataset.zoomLoaded === image.src) return;
+
+    const currentSrc = image.src;
+    const hiResSrc = this.getHighResolutionUrl(currentSrc, this.config.hiResWidth);
+    image.dataset.zoomLoaded = currentSrc;
+    if (hiResSrc === currentSrc) return;
+
+    const loader = new Image();
+    loader.onload = () => {
+      // The lightbox may have moved to another image meanwhile
+      if (image.src !== currentSrc) return;
+
+      image.src = hiResSrc;
+      image.dataset.zoomLoaded = hiResSrc;
+    };
+    loader.src = hiResSrc;
+  },
+
+  /**
+   * Same Shopify CDN image at a larger width
+   * @param {string} src - Image URL
+   * @param {number} width - Width in px
+   * @returns {string} Image URL
+   */
+  getHighResolutionUrl(src, width) {
+    try {
+      const url = new URL(src, window.location.href);
+
+      // Legacy size suffix, e.g. product_800x.jpg
+      url.pathname = url.pathname.replace(/_(\d+x\d*|\d*x\d+)(?=(@\dx)?\.[a-z]+$)/i, '');
+      url.searchParams.delete('height');
+      url.searchParams.delete('crop');
+      url.searchParams.set('width', width);
+
+      return url.toString();
+    } catch (error) {
+      return src;
+    }
+  },
+
+  getCenter() {
+    const rect = this.container.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  },
+
+  /**
+   * Client coordinates as an offset from the untransformed image centre
+   */
+  toCenterOffset(point) {
+    const center = this.getCenter();
+    return { x: point.x - center.x, y: point.y - center.y };
+  },
+
+  getDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  },
+
+  getMidpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+};
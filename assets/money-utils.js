@@ -0,0 +1,148 @@
+/**
+ * Money Utilities - One money formatter for every module
+ * Uses the shop's money format while the shop currency is active, so prices
+ * rendered in JavaScript match the Liquid money filter, and Intl.NumberFormat
+ * for the visitor's locale when another currency is active
+ */
+
+window.moneyUtils = {
+  config: null,
+  formatters: new Map(),
+
+  /**
+   * Read the configuration rendered by snippets/money-config.liquid
+   * @returns {Object} moneyFormat, moneyWithCurrencyFormat, shopCurrency, currency and locale
+   */
+  getConfig() {
+    if (!this.config) {
+      const configElement = document.getElementById('money-config');
+
+      try {
+        this.config = configElement ? JSON.parse(configElement.textContent) : {};
+      } catch (error) {
+        console.error('Money config error:', error);
+        this.config = {};
+      }
+    }
+
+    return this.config;
+  },
+
+  /**
+   * Currency prices are shown in, as chosen by the visitor's market or currency selector
+   * @returns {string} ISO currency code
+   */
+  getActiveCurrency() {
+    const shopifyCurrency = window.Shopify && window.Shopify.currency;
+    return (shopifyCurrency && shopifyCurrency.active) || this.getConfig().currency || this.getConfig().shopCurrency || 'USD';
+  },
+
+  getLocale() {
+    return this.getConfig().locale || document.documentElement.lang || 'en';
+  },
+
+  /**
+   * Cached Intl.NumberFormat for a locale and currency
+   * @param {string} currency - ISO currency code
+   * @returns {Intl.NumberFormat} Formatter
+   */
+  getFormatter(currency) {
+    const locale = this.getLocale();
+    const key = `${locale}:${currency}`;
+
+    if (!this.formatters.has(key)) {
+      let formatter;
+      try {
+        formatter = new Intl.NumberFormat(locale, { style: 'currency', currency });
+      } catch (error) {
+        // Unknown locale tags fall back to the browser's locale
+        formatter = new Intl.NumberFormat(undefined, { style: 'currency', currency });
+      }
+      this.formatters.set(key, formatter);
+    }
+
+    return this.formatters.get(key);
+  },
+
+  /**
+   * Number of decimals a currency is shown with, such as 0 for JPY and 2 for USD
+   * @param {string} currency - ISO currency code
+   * @returns {number} Fraction digits
+   */
+  getDecimals(currency) {
+    return this.getFormatter(currency).resolvedOptions().maximumFractionDigits;
+  },
+
+  /**
+   * Convert a decimal amount such as "19.99" from the search and storefront APIs to cents
+   * @param {string|number} amount - Decimal amount
+   * @returns {number} Amount in cents
+   */
+  toCents(amount) {
+    return Math.round(parseFloat(amount) * 100) || 0;
+  },
+
+  /**
+   * Group digits and join decimals the way the money_format placeholders do
+   * @param {number} cents - Amount in cents
+   * @param {number} precision - Decimal places
+   * @param {string} thousands - Thousands separator
+   * @param {string} decimal - Decimal separator
+   * @returns {string} Formatted number
+   */
+  formatWithDelimiters(cents, precision, thousands = ',', decimal = '.') {
+    const [whole, fraction] = (cents / 100).toFixed(precision).split('.');
+    const grouped = whole.replace(/(\d)(?=(\d{3})+(?!\d))/g, `$1${thousands}`);
+    return fraction ? `${grouped}${decimal}${fraction}` : grouped;
+  },
+
+  /**
+   * Fill a Shopify money_format template such as "${{amount}}" or "{{amount_with_comma_separator}} €"
+   * Zero-decimal currencies are always rounded to whole units
+   * @param {number} cents - Amount in cents
+   * @param {string} format - money_format template
+   * @param {string} currency - ISO currency code
+   * @returns {string} Formatted amount
+   */
+  formatWithTemplate(cents, format, currency) {
+    const precision = Math.min(this.getDecimals(currency), 2);
+
+    const placeholders = {
+      amount: () => this.formatWithDelimiters(cents, precision),
+      amount_no_decimals: () => this.formatWithDelimiters(cents, 0),
+      amount_with_comma_separator: () => this.formatWithDelimiters(cents, precision, '.', ','),
+      amount_no_decimals_with_comma_separator: () => this.formatWithDelimiters(cents, 0, '.', ','),
+      amount_with_apostrophe_separator: () => this.formatWithDelimiters(cents, precision, "'", '.'),
+      amount_no_decimals_with_space_separator: () => this.formatWithDelimiters(cents, 0, ' '),
+      amount_with_space_separator: () => this.formatWithDelimiters(cents, precision, ' ', ','),
+      amount_with_period_and_space_separator: () => this.formatWithDelimiters(cents, precision, ' ', '.')
+    };
+
+    return format
+      // The shop format may wrap the amount in markup; callers expect plain text
+      .replace(/<[^>]*>/g, '')
+      .replace(/{{\s*(\w+)\s*}}/g, (match, placeholder) => (placeholders[placeholder] ? placeholders[placeholder]() : match));
+  },
+
+  /**
+   * Format an amount in cents for display
+   * @param {number|string} cents - Amount in cents, or a decimal string such as "19.9" from the storefront APIs
+   * @param {Object} options - currency (defaults to the active currency) and withCurrency to append the currency code
+   * @returns {string} Formatted amount
+   */
+  formatMoney(cents, options = {}) {
+    const config = this.getConfig();
+    const currency = (options.currency || this.getActiveCurrency()).toUpperCase();
+    const amount = typeof cents === 'string' ? this.toCents(cents) : cents;
+    const value = Number.isFinite(amount) ? amount : 0;
+    const format = options.withCurrency ? config.moneyWithCurrencyFormat : config.moneyFormat;
+
+    // The shop's templates describe the shop currency only
+    if (format && currency === (config.shopCurrency || '').toUpperCase()) {
+      return this.formatWithTemplate(value, format, currency);
+    }
+
+    const formatted = this.getFormatter(currency).format(value / 100);
+    return options.withCurrency ? `${formatted} ${currency}` : formatted;
+  }
+};
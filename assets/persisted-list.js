@@ -0,0 +1,300 @@
+/**
+ * Persisted List - Shopper lists kept in localStorage and a customer metafield
+ * Base for the saved-for-later list and the wishlist. Each list is stored per
+ * customer in this browser and, for logged-in customers, synced to a customer
+ * metafield through an app proxy. Removals are remembered with their time so a
+ * copy from another device or tab cannot bring a removed item back.
+ */
+
+class PersistedList {
+  /**
+   * @param {Object} options - List options
+   * @param {string} options.name - Name used in error messages
+   * @param {string} options.configId - ID of the JSON config script
+   * @param {string} options.storageKey - localStorage key prefix
+   * @param {string} options.eventName - Document event dispatched on every change
+   * @param {string} options.timestampKey - Item field holding when it was added
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.configId = options.configId;
+    this.storageKey = options.storageKey;
+    this.eventName = options.eventName;
+    this.timestampKey = options.timestampKey;
+    this.config = null;
+    this.items = [];
+    this.removed = {};
+    this.listeners = new Set();
+    this.syncTimer = null;
+    this.syncDelay = 1000;
+    // Removals older than this can no longer be undone by a stale copy
+    this.removedTtl = 30 * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Read the JSON configuration rendered for this list
+   * The config holds customerId, proxyPath and the list stored in the customer metafield
+   * @returns {Object|null} Configuration, or null when the feature is disabled
+   */
+  getConfig() {
+    if (this.config === null) {
+      const configElement = document.getElementById(this.configId);
+
+      try {
+        this.config = configElement ? JSON.parse(configElement.textContent) : false;
+      } catch (error) {
+        console.error(`${this.name} config error:`, error);
+        this.config = false;
+      }
+    }
+
+    return this.config || null;
+  }
+
+  isEnabled() {
+    return Boolean(this.getConfig());
+  }
+
+  /**
+   * Subscribe to list changes
+   * @param {Function} listener - Called with the items on every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.items));
+    document.dispatchEvent(new CustomEvent(this.eventName, {
+      detail: { items: this.items }
+    }));
+  }
+
+  getItems() {
+    return this.items;
+  }
+
+  /**
+   * Identify an item; lists override this with what makes their items distinct
+   * @param {Object} item - List item
+   * @returns {string} Item ID
+   */
+  getItemId(item) {
+    return String(item.id);
+  }
+
+  /**
+   * localStorage key for the current shopper, so a shared browser never shows
+   * one customer's list to the next
+   * @returns {string} Storage key
+   */
+  getStorageKey() {
+    const config = this.getConfig();
+    return `${this.storageKey}:${config && config.customerId ? config.customerId : 'guest'}`;
+  }
+
+  /**
+   * Accept a stored list in either shape: { items, removed }, or a plain array
+   * written before removals were recorded
+   * @param {*} value - Stored list
+   * @returns {Object} List with items and removed
+   */
+  normalizeList(value) {
+    if (Array.isArray(value)) return { items: value, removed: {} };
+
+    return {
+      items: value && Array.isArray(value.items) ? value.items : [],
+      removed: value && value.removed && typeof value.removed === 'object' ? value.removed : {}
+    };
+  }
+
+  readStorage(key = this.getStorageKey()) {
+    try {
+      return this.normalizeList(JSON.parse(localStorage.getItem(key)));
+    } catch (error) {
+      return this.normalizeList(null);
+    }
+  }
+
+  writeStorage() {
+    try {
+      localStorage.setItem(this.getStorageKey(), JSON.stringify(this.toJSON()));
+    } catch (error) {
+      console.error(`${this.name} storage error:`, error);
+    }
+  }
+
+  /**
+   * Drop the lists other shoppers left in this browser; after logout that
+   * includes the customer's own list, which stays in their metafield
+   * @returns {Object} The guest list, when a customer is logged in, so it can be merged
+   */
+  clearOtherStorage() {
+    const currentKey = this.getStorageKey();
+    const guestKey = `${this.storageKey}:guest`;
+    const guestList = currentKey === guestKey ? this.normalizeList(null) : this.readStorage(guestKey);
+
+    try {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        keys.push(localStorage.key(i));
+      }
+
+      keys
+        .filter(key => key.startsWith(`${this.storageKey}:`) && key !== currentKey)
+        .forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+      console.error(`${this.name} storage error:`, error);
+    }
+
+    return guestList;
+  }
+
+  toJSON() {
+    return { items: this.items, removed: this.removed };
+  }
+
+  /**
+   * Replace the list, persist it and notify subscribers
+   * Items that are no longer on the list are recorded as removed now
+   * @param {Array} items - List items
+   * @param {Object} options - sync: false skips the customer metafield sync
+   */
+  setItems(items, options = {}) {
+    const now = Date.now();
+    const ids = new Set(items.map(item => this.getItemId(item)));
+
+    this.items.forEach(item => {
+      const id = this.getItemId(item);
+      if (!ids.has(id)) this.removed[id] = now;
+    });
+    ids.forEach(id => delete this.removed[id]);
+
+    this.items = items;
+    this.writeStorage();
+    this.notify();
+
+    if (options.sync !== false) {
+      this.scheduleSync();
+    }
+  }
+
+  /**
+   * Merge lists: the newest copy of each item wins, and an item removed after
+   * it was last added stays removed
+   * @param {...Object} lists - Lists with items and removed
+   * @returns {Object} Merged list, items newest first
+   */
+  mergeLists(...lists) {
+    const removed = {};
+    const items = new Map();
+    const cutoff = Date.now() - this.removedTtl;
+
+    lists.forEach(list => {
+      Object.entries(list.removed).forEach(([id, removedAt]) => {
+        if (removedAt > cutoff && !(removed[id] >= removedAt)) removed[id] = removedAt;
+      });
+
+      list.items.forEach(item => {
+        const id = this.getItemId(item);
+        const existing = items.get(id);
+        if (!existing || item[this.timestampKey] >= existing[this.timestampKey]) {
+          items.set(id, item);
+        }
+      });
+    });
+
+    const merged = [...items.values()]
+      .filter(item => {
+        const id = this.getItemId(item);
+        if (!(id in removed)) return true;
+        if (item[this.timestampKey] > removed[id]) {
+          delete removed[id];
+          return true;
+        }
+        return false;
+      })
+      .sort((a, b) => b[this.timestampKey] - a[this.timestampKey]);
+
+    return { items: merged, removed };
+  }
+
+  /**
+   * Debounce writes to the app proxy so quick changes become one request
+   */
+  scheduleSync() {
+    const config = this.getConfig();
+    if (!config || !config.customerId || !config.proxyPath) return;
+
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.syncToCustomer(), this.syncDelay);
+  }
+
+  /**
+   * Store the list in the customer metafield through the app proxy
+   * The proxy takes the customer from the logged_in_customer_id parameter
+   * Shopify signs onto proxied requests, never from the request body
+   * @returns {Promise<boolean>} True when the proxy accepted the list
+   */
+  async syncToCustomer() {
+    const config = this.getConfig();
+    if (!config || !config.customerId || !config.proxyPath) return false;
+
+    try {
+      const response = await fetch(config.proxyPath, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(this.toJSON())
+      });
+
+      if (!response.ok) {
+        throw new Error(`${this.name} sync failed with status ${response.status}`);
+      }
+
+      return true;
+    } catch (error) {
+      // The list stays in localStorage and is sent again with the next change
+      console.error(`${this.name} sync error:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the list, merging in the customer's metafield copy and anything saved
+   * as a guest before login, and follow changes made in other tabs
+   */
+  init() {
+    const config = this.getConfig();
+    if (!config) return;
+
+    const guestList = this.clearOtherStorage();
+    const remoteList = this.normalizeList(config.items);
+    const merged = this.mergeLists(remoteList, guestList, this.readStorage());
+
+    this.items = merged.items;
+    this.removed = merged.removed;
+    this.writeStorage();
+
+    if (config.customerId && JSON.stringify(this.toJSON()) !== JSON.stringify(remoteList)) {
+      this.scheduleSync();
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key !== this.getStorageKey()) return;
+
+      const list = this.readStorage();
+      this.items = list.items;
+      this.removed = list.removed;
+      this.notify();
+    });
+
+    this.notify();
+  }
+}
+
+window.PersistedList = PersistedList;
@@ -12,6 +12,8 @@ window.productUtils = {
     recommendationCacheTime: 300000, // 5 minutes
     galleryTransitionDuration: 300,
     zoomLevel: 2.5,
+    propertyFileMaxSize: 20, // MB
+    giftCardSendWindow: 90, // days Shopify allows a gift card delivery to be scheduled ahead
     lightboxEnabled: true,
     lazyLoadEnabled: true
   },
@@ -20,8 +22,10 @@ window.productUtils = {
   state: {
     currentVariant: null,
     selectedOptions: {},
+    sellingPlanId: null,
     isUpdating: false,
     galleryIndex: 0,
+    mediaGroup: null,
     isZoomed: false,
     reviewsLoaded: false,
     recommendationsLoaded: false,
@@ -31,6 +35,7 @@ window.productUtils = {
   // Cache for performance
   cache: {
     variants: new Map(),
+    availability: new Map(),
     reviews: new Map(),
     recommendations: new Map()
   },
@@ -42,9 +47,11 @@ window.productUtils = {
     this.initializeProductData();
     this.setupImageGallery();
     this.setupVariantSelector();
+    this.setupSellingPlans();
     this.setupQuantitySelector();
+    this.setupLineItemProperties();
+    this.setupGiftCardRecipient();
     this.setupAddToCart();
-    this.setupWishlist();
     this.setupReviews();
     this.setupRecommendations();
     this.setupRecentlyViewed();
@@ -83,6 +90,107 @@ window.productUtils = {
       const key = variant.options.join(' / ');
       this.cache.variants.set(key, variant);
     });
+
+    this.cache.availability = this.buildAvailabilityMatrix(this.variants);
+  },
+
+  /**
+   * Build the availability matrix: for each run of leading option values, the
+   * values the next option can take and whether any variant with it is in stock
+   * @param {Array} variants - Variant data
+   * @returns {Map} Key of leading values => Map of value => available
+   */
+  buildAvailabilityMatrix(variants) {
+    const matrix = new Map();
+
+    variants.forEach(variant => {
+      variant.options.forEach((value, index) => {
+        const key = this.getAvailabilityKey(variant.options.slice(0, index));
+        if (!matrix.has(key)) matrix.set(key, new Map());
+
+        const values = matrix.get(key);
+        values.set(value, values.get(value) || variant.available);
+      });
+    });
+
+    return matrix;
+  },
+
+  getAvailabilityKey(values) {
+    return JSON.stringify(values);
+  },
+
+  /**
+   * Status of an option value given the values chosen for the options before it
+   * @param {Map} matrix - Matrix from buildAvailabilityMatrix
+   * @param {number} index - Option position, 0-based
+   * @param {string} value - Option value
+   * @param {Array} selectedValues - Chosen values in option order
+   * @returns {string} available, sold_out, or unavailable when no variant has the combination
+   */
+  getOptionValueStatus(matrix, index, value, selectedValues) {
+    const values = matrix.get(this.getAvailabilityKey(selectedValues.slice(0, index)));
+
+    if (!values || !values.has(value)) return 'unavailable';
+    return values.get(value) ? 'available' : 'sold_out';
+  },
+
+  /**
+   * Mark sold-out option values and disable combinations that do not exist. A
+   * checked value that stopped existing moves to the first one that does,
+   * preferring values in stock
+   * @param {HTMLElement} container - Element holding the .product__option fieldsets
+   * @param {Map} matrix - Matrix from buildAvailabilityMatrix
+   * @param {Array} selectedValues - Chosen values in option order
+   * @param {Object} strings - sold_out and unavailable labels for screen readers
+   * @returns {Array} Chosen values after any adjustment
+   */
+  renderOptionAvailability(container, matrix, selectedValues, strings = {}) {
+    const selection = [...selectedValues];
+
+    container.querySelectorAll('.product__option').forEach((fieldset, index) => {
+      const inputs = Array.from(fieldset.querySelectorAll('input[type="radio"]'));
+      const statuses = inputs.map(input => this.getOptionValueStatus(matrix, index, input.value, selection));
+      const checkedIndex = inputs.findIndex(input => input.checked);
+
+      if (checkedIndex === -1 || statuses[checkedIndex] === 'unavailable') {
+        const availableIndex = statuses.indexOf('available');
+        const fallbackIndex = availableIndex !== -1 ? availableIndex : statuses.indexOf('sold_out');
+
+        if (fallbackIndex !== -1) {
+          inputs[fallbackIndex].checked = true;
+          selection[index] = inputs[fallbackIndex].value;
+        }
+      }
+
+      inputs.forEach((input, i) => this.renderOptionValueStatus(input, statuses[i], strings));
+    });
+
+    return selection;
+  },
+
+  /**
+   * Show one option value's status on its input and label
+   */
+  renderOptionValueStatus(input, status, strings) {
+    input.disabled = status === 'unavailable';
+    input.dataset.optionStatus = status;
+
+    const label = input.labels && input.labels[0];
+    if (!label) return;
+
+    label.classList.toggle('is-sold-out', status === 'sold_out');
+    label.classList.toggle('is-unavailable', status === 'unavailable');
+
+    let statusElement = label.querySelector('[data-option-status]');
+    if (!statusElement) {
+      statusElement = document.createElement('span');
+      statusElement.className = 'visually-hidden';
+      statusElement.setAttribute('data-option-status', '');
+      label.appendChild(statusElement);
+    }
+
+    statusElement.textContent = status === 'available' ? '' : `, ${strings[status] || ''}`;
   },
 
   /**
@@ -105,6 +213,8 @@ window.productUtils = {
     const gallery = document.querySelector('[data-media-gallery]');
     if (!gallery) return;
 
+    this.mediaGroups = this.getMediaGroups();
+
     // Setup thumbnail navigation
     this.setupThumbnailNavigation();
     
@@ -113,12 +223,210 @@ window.productUtils = {
     
     // Setup lightbox
     this.setupLightbox();
+
+    // Setup videos and 3D models that load on demand, and AR for models
+    this.setupDeferredMedia();
+    this.setupModelViewer();
     
     // Setup swipe gestures for mobile
     this.setupSwipeGestures();
     
     // Setup keyboard navigation
     this.setupGalleryKeyboardNavigation();
+
+    // Start on the media of the variant the page was rendered with
+    const variant = this.getSelectedVariant();
+    if (variant) this.updateVariantMedia(variant);
+  },
+
+  /**
+   * Media-to-option-value mapping rendered by snippets/product-media-groups.liquid
+   * @returns {Object|null} { option, position, media: { mediaId: value|null } }
+   */
+  getMediaGroups() {
+    const groupsScript = document.querySelector('[data-media-groups]');
+    if (!groupsScript) return null;
+
+    try {
+      return JSON.parse(groupsScript.textContent);
+    } catch (error) {
+      console.error('Media groups error:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Option value whose media a variant shows
+   * @param {Object} variant - Variant data
+   * @returns {string|null} Group value, or null to show every media item
+   */
+  getVariantMediaGroup(variant) {
+    const groups = this.mediaGroups;
+    if (!groups || !variant) return null;
+
+    const value = variant.options[groups.position - 1];
+    const hasMedia = Object.values(groups.media).includes(value);
+
+    // A value without media of its own falls back to the full gallery
+    return hasMedia ? value : null;
+  },
+
+  /**
+   * Show only the media and thumbnails of one option value; shared media stays visible
+   * @param {string|null} group - Option value, or null for every media item
+   */
+  filterMediaGroup(group) {
+    const mediaMap = this.mediaGroups ? this.mediaGroups.media : {};
+
+    document.querySelectorAll('.product__media-item, .product__media-thumbnail').forEach(element => {
+      const mediaGroup = mediaMap[element.dataset.mediaId];
+      const visible = !group || !mediaGroup || mediaGroup === group;
+
+      element.hidden = !visible;
+      if (!visible && element.classList.contains('product__media-item')) this.pauseMedia(element);
+    });
+
+    this.state.mediaGroup = group;
+  },
+
+  /**
+   * Media items of the current group
+   * @returns {Array} Visible .product__media-item elements
+   */
+  getMediaItems() {
+    return Array.from(document.querySelectorAll('.product__media-item:not([hidden])'));
+  },
+
+  /**
+   * Stop videos and models that are no longer on screen
+   * @param {HTMLElement} mediaItem - Media item
+   */
+  pauseMedia(mediaItem) {
+    mediaItem.querySelectorAll('video').forEach(video => video.pause());
+
+    mediaItem.querySelectorAll('iframe').forEach(iframe => {
+      if (!iframe.contentWindow) return;
+
+      if (iframe.src.includes('youtube')) {
+        iframe.contentWindow.postMessage(JSON.stringify({ event: 'command', func: 'pauseVideo', args: '' }), '*');
+      } else if (iframe.src.includes('vimeo')) {
+        iframe.contentWindow.postMessage(JSON.stringify({ method: 'pause' }), '*');
+      }
+    });
+
+    if (mediaItem.modelViewerUI) mediaItem.modelViewerUI.pause();
+  },
+
+  /**
+   * Setup external videos and 3D models that are only loaded when their poster is pressed
+   */
+  setupDeferredMedia() {
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-deferred-media-button]');
+      if (!button) return;
+
+      e.preventDefault();
+      const mediaItem = button.closest('.product__media-item');
+      this.switchToMediaId(mediaItem.dataset.mediaId);
+      this.loadDeferredMedia(mediaItem, { focus: true });
+    });
+  },
+
+  /**
+   * Replace a poster with the player or model viewer kept in its template
+   * @param {HTMLElement} mediaItem - Media item
+   * @param {Object} options - focus moves focus into the loaded media
+   */
+  loadDeferredMedia(mediaItem, options = {}) {
+    const container = mediaItem && mediaItem.querySelector('[data-deferred-media]');
+    if (!container || container.hasAttribute('data-media-loaded')) return;
+
+    const template = container.querySelector('template');
+    if (!template) return;
+
+    container.appendChild(document.importNode(template.content, true));
+    container.setAttribute('data-media-loaded', '');
+
+    const poster = container.querySelector('[data-deferred-media-button]');
+    if (poster) poster.remove();
+
+    const modelViewer = container.querySelector('model-viewer');
+    if (modelViewer) {
+      const instructions = container.querySelector('[data-model-instructions]');
+      if (instructions) modelViewer.setAttribute('aria-describedby', instructions.id);
+
+      this.setupModelViewerUI(modelViewer, mediaItem);
+    }
+
+    if (options.focus) {
+      const media = container.querySelector('model-viewer, iframe, video');
+      if (media) media.focus();
+    }
+  },
+
+  /**
+   * Add Shopify's model viewer controls (zoom, fullscreen, keyboard rotation)
+   * @param {HTMLElement} modelViewer - model-viewer element
+   * @param {HTMLElement} mediaItem - Media item holding it
+   */
+  async setupModelViewerUI(modelViewer, mediaItem) {
+    const loaded = await this.loadShopifyFeature('model-viewer-ui');
+    if (!loaded || !window.Shopify.ModelViewerUI) return;
+
+    mediaItem.modelViewerUI = new window.Shopify.ModelViewerUI(modelViewer);
+
+    // The model may have been swiped away while the controls loaded
+    if (!mediaItem.classList.contains('active')) mediaItem.modelViewerUI.pause();
+  },
+
+  /**
+   * Register the product's models with Shopify XR so supported devices show the AR button
+   */
+  async setupModelViewer() {
+    const modelsScript = document.querySelector('[data-product-models]');
+    if (!modelsScript) return;
+
+    const models = JSON.parse(modelsScript.textContent);
+    if (models.length === 0) return;
+
+    const loaded = await this.loadShopifyFeature('shopify-xr');
+    if (loaded) this.setupShopifyXR(models);
+  },
+
+  /**
+   * Hand the models to Shopify XR once it has initialised
+   * @param {Array} models - Model media data
+   */
+  setupShopifyXR(models) {
+    if (!window.ShopifyXR) {
+      document.addEventListener('shopify_xr_initialized', () => this.setupShopifyXR(models), { once: true });
+      return;
+    }
+
+    // Shopify XR removes data-shopify-xr-hidden from the AR buttons on devices that support it
+    window.ShopifyXR.addModels(models);
+    window.ShopifyXR.setupXRElements();
+  },
+
+  /**
+   * Load a Shopify storefront feature such as model-viewer-ui or shopify-xr
+   * @param {string} name - Feature name
+   * @param {string} version - Feature version
+   * @returns {Promise<boolean>} True when the feature loaded
+   */
+  loadShopifyFeature(name, version = '1.0') {
+    const shopify = window.Shopify;
+
+    if (!shopify || typeof shopify.loadFeatures !== 'function') {
+      return Promise.resolve(false);
+    }
+
+    return new Promise(resolve => {
+      shopify.loadFeatures([{ name, version }], (error) => {
+        if (error) console.error(`Shopify feature ${name} error:`, error);
+        resolve(!error);
+      });
+    });
   },
 
   /**
@@ -126,18 +434,19 @@ window.productUtils = {
    */
   setupThumbnailNavigation() {
     const thumbnails = document.querySelectorAll('.product__media-thumbnail');
-    const mediaItems = document.querySelectorAll('.product__media-item');
 
-    thumbnails.forEach((thumbnail, index) => {
-      thumbnail.addEventListener('click', () => {
-        this.switchToMedia(index);
+    // Thumbnails are matched by media ID because filtering changes their positions
+    thumbnails.forEach(thumbnail => {
+      thumbnail.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.switchToMediaId(thumbnail.dataset.mediaId);
       });
 
       // Add keyboard support
       thumbnail.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
-          this.switchToMedia(index);
+          this.switchToMediaId(thumbnail.dataset.mediaId);
         }
       });
     });
@@ -145,29 +454,48 @@ window.productUtils = {
 
   /**
    * Switch to specific media item
+   * @param {number} index - Position among the media of the current group
    */
   switchToMedia(index) {
-    const mediaItems = document.querySelectorAll('.product__media-item');
-    const thumbnails = document.querySelectorAll('.product__media-thumbnail');
+    const mediaItems = this.getMediaItems();
+    const activeItem = mediaItems[index];
+    if (!activeItem) return;
+
+    const mediaId = activeItem.dataset.mediaId;
 
     // Update active states
-    mediaItems.forEach((item, i) => {
-      item.classList.toggle('active', i === index);
+    document.querySelectorAll('.product__media-item').forEach(item => {
+      const isActive = item === activeItem;
+      if (!isActive && item.classList.contains('active')) this.pauseMedia(item);
+      item.classList.toggle('active', isActive);
     });
 
-    thumbnails.forEach((thumb, i) => {
-      thumb.classList.toggle('active', i === index);
+    document.querySelectorAll('.product__media-thumbnail').forEach(thumb => {
+      thumb.classList.toggle('active', thumb.dataset.mediaId === mediaId);
     });
 
     this.state.galleryIndex = index;
 
     // Lazy load the new image
-    this.lazyLoadMedia(mediaItems[index]);
+    this.lazyLoadMedia(activeItem);
 
     // Announce to screen readers
     this.announceToScreenReader(`Image ${index + 1} of ${mediaItems.length}`);
   },
 
+  /**
+   * Switch to a media item by its ID
+   * @param {string|number} mediaId - Media ID
+   * @returns {boolean} True when the media is in the current group
+   */
+  switchToMediaId(mediaId) {
+    const index = this.getMediaItems().findIndex(item => item.dataset.mediaId === String(mediaId));
+    if (index === -1) return false;
+
+    this.switchToMedia(index);
+    return true;
+  },
+
   /**
    * Setup image zoom functionality
    */
@@ -180,8 +508,8 @@ window.productUtils = {
         this.openLightbox(image.href);
       });
 
-      // Add hover zoom effect
-      if (this.config.zoomLevel > 1) {
+      // Add hover zoom effect; touch screens zoom inside the lightbox instead
+      if (this.config.zoomLevel > 1 && window.matchMedia('(hover: hover) and (pointer: fine)').matches) {
         image.addEventListener('mouseenter', () => {
           this.enableHoverZoom(image);
         });
@@ -232,10 +560,17 @@ window.productUtils = {
       }
     });
 
-    // Close lightbox on escape
+    // Close lightbox on escape; zoom keys, then arrows for the previous and next image
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isLightboxOpen()) {
+      if (!this.isLightboxOpen()) return;
+
+      if (e.key === 'Escape') {
         this.closeLightbox();
+      } else if (window.lightboxZoom && window.lightboxZoom.handleKeydown(e)) {
+        return;
+      } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        this.navigateLightbox(e.key === 'ArrowLeft' ? -1 : 1);
       }
     });
   },
@@ -287,6 +622,18 @@ window.productUtils = {
     lightbox.querySelector('.product-lightbox__next').addEventListener('click', () => {
       this.navigateLightbox(1);
     });
+
+    // Pinch, double tap, wheel and keyboard zoom
+    if (window.lightboxZoom) {
+      window.lightboxZoom.attach(
+        lightbox.querySelector('.product-lightbox__image-container'),
+        lightbox.querySelector('.product-lightbox__image'),
+        {
+          doubleTapScale: this.config.zoomLevel,
+          onSwipe: direction => this.navigateLightbox(direction)
+        }
+      );
+    }
   },
 
   /**
@@ -295,10 +642,17 @@ window.productUtils = {
   openLightbox(imageSrc) {
     const lightbox = document.querySelector('.product-lightbox');
     const lightboxImage = lightbox.querySelector('.product-lightbox__image');
+
+    // Keep the gallery on the opened image so lightbox navigation starts from it
+    const zoomLink = Array.from(document.querySelectorAll('.product__media-zoom')).find(link => link.href === imageSrc);
+    const mediaItem = zoomLink && zoomLink.closest('.product__media-item');
+    if (mediaItem) this.switchToMediaId(mediaItem.dataset.mediaId);
     
+    this.resetLightboxZoom();
     lightboxImage.src = imageSrc;
     lightboxImage.alt = this.product.title;
     lightbox.classList.add('product-lightbox--open');
+    this.updateLightboxNavigation();
     
     // Prevent body scroll
     document.body.style.overflow = 'hidden';
@@ -313,6 +667,7 @@ window.productUtils = {
   closeLightbox() {
     const lightbox = document.querySelector('.product-lightbox');
     lightbox.classList.remove('product-lightbox--open');
+    this.resetLightboxZoom();
     
     // Restore body scroll
     document.body.style.overflow = '';
@@ -322,17 +677,46 @@ window.productUtils = {
    * Navigate lightbox images
    */
   navigateLightbox(direction) {
-    const mediaItems = document.querySelectorAll('.product__media-item');
-    const newIndex = this.state.galleryIndex + direction;
-    
-    if (newIndex >= 0 && newIndex < mediaItems.length) {
-      this.switchToMedia(newIndex);
-      
-      // Update lightbox image
-      const lightboxImage = document.querySelector('.product-lightbox__image');
-      const newImageSrc = mediaItems[newIndex].querySelector('img').src;
-      lightboxImage.src = newImageSrc;
+    const newIndex = this.getLightboxIndex(direction);
+    if (newIndex === -1) return;
+
+    this.switchToMedia(newIndex);
+    this.resetLightboxZoom();
+
+    // Update lightbox image
+    const lightboxImage = document.querySelector('.product-lightbox__image');
+    lightboxImage.src = this.getMediaItems()[newIndex].querySelector('.product__media-zoom').href;
+    this.updateLightboxNavigation();
+  },
+
+  /**
+   * Next zoomable image of the current group in a direction; videos and models are skipped
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {number} Gallery index, or -1 when there is none
+   */
+  getLightboxIndex(direction) {
+    const mediaItems = this.getMediaItems();
+
+    for (let index = this.state.galleryIndex + direction; index >= 0 && index < mediaItems.length; index += direction) {
+      if (mediaItems[index].querySelector('.product__media-zoom')) return index;
     }
+
+    return -1;
+  },
+
+  /**
+   * Disable lightbox arrows that have no image to go to
+   */
+  updateLightboxNavigation() {
+    const lightbox = document.querySelector('.product-lightbox');
+    if (!lightbox) return;
+
+    lightbox.querySelector('.product-lightbox__prev').disabled = this.getLightboxIndex(-1) === -1;
+    lightbox.querySelector('.product-lightbox__next').disabled = this.getLightboxIndex(1) === -1;
+  },
+
+  resetLightboxZoom() {
+    if (window.lightboxZoom) window.lightboxZoom.reset();
   },
 
   /**
@@ -354,13 +738,18 @@ window.productUtils = {
     let startY = 0;
     let endX = 0;
     let endY = 0;
+    let isModelGesture = false;
 
     gallery.addEventListener('touchstart', (e) => {
       startX = e.touches[0].clientX;
       startY = e.touches[0].clientY;
+      // Dragging a loaded 3D model rotates it instead of changing media
+      isModelGesture = Boolean(e.target.closest('model-viewer'));
     });
 
     gallery.addEventListener('touchend', (e) => {
+      if (isModelGesture) return;
+
       endX = e.changedTouches[0].clientX;
       endY = e.changedTouches[0].clientY;
       
@@ -384,7 +773,7 @@ window.productUtils = {
    * Navigate gallery
    */
   navigateGallery(direction) {
-    const mediaItems = document.querySelectorAll('.product__media-item');
+    const mediaItems = this.getMediaItems();
     const newIndex = this.state.galleryIndex + direction;
     
     if (newIndex >= 0 && newIndex < mediaItems.length) {
@@ -397,6 +786,9 @@ window.productUtils = {
    */
   setupGalleryKeyboardNavigation() {
     document.addEventListener('keydown', (e) => {
+      // Arrow keys rotate 3D models and seek videos, so those keep them
+      if (e.target.closest('model-viewer, video')) return;
+
       if (e.target.closest('[data-media-gallery]')) {
         switch (e.key) {
           case 'ArrowLeft':
@@ -491,6 +883,9 @@ window.productUtils = {
     
     // Update stock indicator
     this.updateStockIndicator(variant);
+
+    // Update selling plan prices for this variant
+    this.updateSellingPlanPrices(variant);
   },
 
   /**
@@ -500,8 +895,10 @@ window.productUtils = {
     const priceContainer = document.querySelector('#price-' + this.getSectionId());
     if (!priceContainer) return;
 
-    const price = variant.price;
-    const comparePrice = variant.compare_at_price;
+    // A selected subscription is priced by its allocation, compared against the one-time price
+    const allocation = this.getSellingPlanAllocation(variant, this.state.sellingPlanId);
+    const price = allocation ? allocation.price : variant.price;
+    const comparePrice = allocation ? allocation.compare_at_price : variant.compare_at_price;
     
     let priceHTML = '';
     
@@ -526,6 +923,77 @@ window.productUtils = {
     priceContainer.innerHTML = priceHTML;
   },
 
+  /**
+   * Setup selling plan (subscription) picker
+   */
+  setupSellingPlans() {
+    const picker = document.querySelector('[data-selling-plan-picker]');
+    if (!picker) return;
+
+    const checked = picker.querySelector('[name="selling_plan"]:checked');
+    this.state.sellingPlanId = checked && checked.value ? parseInt(checked.value) : null;
+
+    picker.addEventListener('change', (e) => {
+      if (e.target.name !== 'selling_plan') return;
+
+      this.state.sellingPlanId = e.target.value ? parseInt(e.target.value) : null;
+
+      const variant = this.getSelectedVariant();
+      if (variant) {
+        this.updatePrice(variant);
+      }
+    });
+  },
+
+  /**
+   * Variant currently in the product form
+   */
+  getSelectedVariant() {
+    if (this.state.currentVariant) return this.state.currentVariant;
+
+    const variantInput = document.querySelector('input[name="id"]');
+    const variantId = variantInput ? parseInt(variantInput.value) : null;
+    return (this.variants || []).find(variant => variant.id === variantId) || null;
+  },
+
+  /**
+   * Find the allocation of a selling plan for a variant
+   * @param {Object} variant - Variant data
+   * @param {number|null} sellingPlanId - Selling plan ID
+   * @returns {Object|null} Allocation with price and compare_at_price, or null
+   */
+  getSellingPlanAllocation(variant, sellingPlanId) {
+    if (!variant || !sellingPlanId) return null;
+
+    return (variant.selling_plan_allocations || [])
+      .find(allocation => allocation.selling_plan_id === sellingPlanId) || null;
+  },
+
+  /**
+   * Update the price shown next to each purchase option
+   */
+  updateSellingPlanPrices(variant) {
+    const picker = document.querySelector('[data-selling-plan-picker]');
+    if (!picker) return;
+
+    picker.querySelectorAll('[data-selling-plan-price]').forEach(priceElement => {
+      const sellingPlanId = parseInt(priceElement.dataset.sellingPlanPrice) || null;
+      const allocation = this.getSellingPlanAllocation(variant, sellingPlanId);
+
+      if (!sellingPlanId) {
+        priceElement.textContent = this.formatMoney(variant.price);
+      } else {
+        priceElement.textContent = allocation ? this.formatMoney(allocation.price) : '';
+      }
+    });
+
+    // Plans the variant is not sold with cannot be selected
+    picker.querySelectorAll('[name="selling_plan"]').forEach(input => {
+      if (!input.value) return;
+      input.disabled = !this.getSellingPlanAllocation(variant, parseInt(input.value));
+    });
+  },
+
   /**
    * Update availability display
    */
@@ -540,6 +1008,10 @@ window.productUtils = {
       addToCartButton.disabled = true;
       addToCartButton.textContent = 'Sold out';
     }
+
+    // Sold-out variants offer a back in stock signup instead
+    const backInStockForm = document.querySelector('back-in-stock-form');
+    if (backInStockForm) backInStockForm.update(variant);
   },
 
   /**
@@ -556,12 +1028,19 @@ window.productUtils = {
    * Update variant media
    */
   updateVariantMedia(variant) {
-    if (variant.featured_media) {
-      const mediaIndex = this.product.media.findIndex(media => media.id === variant.featured_media.id);
-      if (mediaIndex !== -1) {
-        this.switchToMedia(mediaIndex);
-      }
+    if (!variant) return;
+
+    const group = this.getVariantMediaGroup(variant);
+    const groupChanged = group !== this.state.mediaGroup;
+    if (groupChanged) this.filterMediaGroup(group);
+
+    // Show the variant's featured media, or the first media of its group
+    const showsFeatured = variant.featured_media && this.switchToMediaId(variant.featured_media.id);
+    if (!showsFeatured && (groupChanged || !this.getMediaItems()[this.state.galleryIndex])) {
+      this.switchToMedia(0);
     }
+
+    if (this.isLightboxOpen()) this.updateLightboxNavigation();
   },
 
   /**
@@ -610,6 +1089,10 @@ window.productUtils = {
    */
   setupQuantitySelector() {
     const quantityInput = document.querySelector('.quantity-input__input');
+
+    // The quantity-input element handles its own buttons and quantity rules
+    if (!quantityInput || quantityInput.closest('quantity-input')) return;
+
     const decreaseButton = document.querySelector('.quantity-input__button--minus');
     const increaseButton = document.querySelector('.quantity-input__button--plus');
 
@@ -625,11 +1108,17 @@ window.productUtils = {
       });
     }
 
-    if (quantityInput) {
-      quantityInput.addEventListener('change', () => {
-        this.validateQuantity();
-      });
-    }
+    quantityInput.addEventListener('change', () => {
+      this.validateQuantity();
+    });
+  },
+
+  /**
+   * Quantity rule for the selected variant
+   * @returns {Object} Rule from cartUtils.getQuantityRule
+   */
+  getQuantityRule() {
+    return window.cartUtils.getQuantityRule(this.state.currentVariant && this.state.currentVariant.id);
   },
 
   /**
@@ -638,9 +1127,9 @@ window.productUtils = {
   decreaseQuantity() {
     const quantityInput = document.querySelector('.quantity-input__input');
     if (quantityInput) {
-      const currentValue = parseInt(quantityInput.value) || 1;
-      if (currentValue > 1) {
-        quantityInput.value = currentValue - 1;
+      const newValue = window.cartUtils.stepQuantity(quantityInput.value, this.getQuantityRule(), -1);
+      if (String(newValue) !== quantityInput.value) {
+        quantityInput.value = newValue;
         this.announceToScreenReader(`Quantity: ${quantityInput.value}`);
       }
     }
@@ -652,22 +1141,21 @@ window.productUtils = {
   increaseQuantity() {
     const quantityInput = document.querySelector('.quantity-input__input');
     if (quantityInput) {
-      const currentValue = parseInt(quantityInput.value) || 1;
-      quantityInput.value = currentValue + 1;
-      this.announceToScreenReader(`Quantity: ${quantityInput.value}`);
+      const newValue = window.cartUtils.stepQuantity(quantityInput.value, this.getQuantityRule(), 1);
+      if (String(newValue) !== quantityInput.value) {
+        quantityInput.value = newValue;
+        this.announceToScreenReader(`Quantity: ${quantityInput.value}`);
+      }
     }
   },
 
   /**
-   * Validate quantity input
+   * Validate quantity input against the variant's minimum, maximum and increment
    */
   validateQuantity() {
     const quantityInput = document.querySelector('.quantity-input__input');
     if (quantityInput) {
-      const value = parseInt(quantityInput.value);
-      if (isNaN(value) || value < 1) {
-        quantityInput.value = 1;
-      }
+      quantityInput.value = window.cartUtils.normalizeQuantity(quantityInput.value, this.getQuantityRule());
     }
   },
 
@@ -678,6 +1166,9 @@ window.productUtils = {
     const addToCartForm = document.querySelector('[data-type="add-to-cart-form"]');
     if (!addToCartForm) return;
 
+    // The product-form element submits its own form
+    if (addToCartForm.closest('product-form')) return;
+
     addToCartForm.addEventListener('submit', (e) => {
       e.preventDefault();
       this.handleAddToCart();
@@ -691,6 +1182,8 @@ window.productUtils = {
     if (this.state.isUpdating) return;
 
     const form = document.querySelector('[data-type="add-to-cart-form"]');
+    if (!this.validateLineItemProperties(form)) return;
+
     const formData = new FormData(form);
     const addToCartButton = form.querySelector('.product__add-to-cart');
     
@@ -698,30 +1191,22 @@ window.productUtils = {
     this.setAddToCartLoading(true);
     
     try {
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        body: formData
-      });
+      const result = await window.cartUtils.addFormDataToCart(formData);
+
+      if (result.success) {
+        this.resetGiftCardRecipient(form);
 
-      if (response.ok) {
-        const result = await response.json();
-        
         // Show success message
         this.showAddToCartSuccess();
         
-        // Update cart count
-        if (window.cartUtils) {
-          window.cartUtils.updateCartCount();
-        }
-        
         // Add to recently viewed
         this.addToRecentlyViewed();
         
         // Track event
-        this.trackAddToCart(result);
+        this.trackAddToCart(result.data);
         
       } else {
-        throw new Error('Failed to add to cart');
+        throw new Error(result.error || 'Failed to add to cart');
       }
     } catch (error) {
       console.error('Add to cart error:', error);
@@ -731,6 +1216,241 @@ window.productUtils = {
     }
   },
 
+  /**
+   * Setup line item property inputs (character counters and inline errors)
+   * Covers the property blocks and the gift card recipient form
+   */
+  setupLineItemProperties() {
+    document.querySelectorAll('[data-line-item-properties], [data-gift-card-recipient]').forEach(container => {
+      container.querySelectorAll('[name^="properties["]').forEach(field => {
+        this.updatePropertyCount(field);
+      });
+
+      container.addEventListener('input', (e) => {
+        if (!e.target.name || !e.target.name.startsWith('properties[')) return;
+
+        this.updatePropertyCount(e.target);
+        this.setPropertyError(e.target, '');
+      });
+
+      container.addEventListener('change', (e) => {
+        if (['file', 'checkbox', 'date'].includes(e.target.type)) {
+          this.setPropertyError(e.target, this.getPropertyError(e.target));
+        }
+      });
+    });
+  },
+
+  /**
+   * Setup the gift card recipient form
+   * Its fields stay disabled, and out of the cart request, until the shopper
+   * chooses to send the gift card to someone else
+   */
+  setupGiftCardRecipient() {
+    const recipient = document.querySelector('[data-gift-card-recipient]');
+    if (!recipient) return;
+
+    const toggle = recipient.querySelector('[data-gift-card-recipient-toggle]');
+    const sendOnInput = recipient.querySelector('input[type="date"]');
+    const offsetInput = recipient.querySelector('[data-gift-card-recipient-offset]');
+
+    // Limits follow the shopper's calendar, not the date the page was rendered
+    if (sendOnInput) {
+      const today = new Date();
+      const lastDay = new Date(today);
+      lastDay.setDate(today.getDate() + this.config.giftCardSendWindow);
+
+      sendOnInput.min = this.formatDateInputValue(today);
+      sendOnInput.max = this.formatDateInputValue(lastDay);
+    }
+
+    // Shopify uses the offset to send the gift card on the chosen day in the buyer's timezone
+    if (offsetInput) {
+      offsetInput.value = new Date().getTimezoneOffset().toString();
+    }
+
+    toggle.addEventListener('change', () => this.toggleGiftCardRecipient(recipient, toggle.checked));
+    this.toggleGiftCardRecipient(recipient, toggle.checked);
+  },
+
+  /**
+   * Show or hide the recipient fields
+   * @param {HTMLElement} recipient - Recipient form container
+   * @param {boolean} enabled - True when the gift card goes to a recipient
+   */
+  toggleGiftCardRecipient(recipient, enabled) {
+    const fields = recipient.querySelector('[data-gift-card-recipient-fields]');
+    fields.hidden = !enabled;
+
+    fields.querySelectorAll('input, textarea').forEach(field => {
+      field.disabled = !enabled;
+      if (!enabled && field.name) this.setPropertyError(field, '');
+    });
+  },
+
+  /**
+   * Clear the recipient form after the gift card was added, so the next one starts empty
+   * @param {HTMLFormElement} form - Product form
+   */
+  resetGiftCardRecipient(form) {
+    const recipient = form && form.querySelector('[data-gift-card-recipient]');
+    if (!recipient) return;
+
+    const toggle = recipient.querySelector('[data-gift-card-recipient-toggle]');
+    toggle.checked = false;
+
+    recipient.querySelectorAll('[data-gift-card-recipient-fields] [name^="properties["]').forEach(field => {
+      if (field.type !== 'hidden') field.value = '';
+      this.updatePropertyCount(field);
+    });
+
+    this.toggleGiftCardRecipient(recipient, false);
+  },
+
+  /**
+   * Format a date as YYYY-MM-DD in local time for date inputs
+   */
+  formatDateInputValue(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  /**
+   * Validate line item properties before they are added to the cart
+   * @param {HTMLFormElement} form - Product form
+   * @returns {boolean} True when every property is valid
+   */
+  validateLineItemProperties(form) {
+    if (!form) return true;
+
+    let firstInvalid = null;
+
+    form.querySelectorAll('[name^="properties["]').forEach(field => {
+      // Disabled fields, such as a closed recipient form, are not sent
+      if (field.disabled) return;
+
+      const error = this.getPropertyError(field);
+      this.setPropertyError(field, error);
+
+      if (error && !firstInvalid) {
+        firstInvalid = field;
+      }
+    });
+
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Validation message for a property input
+   * @param {HTMLElement} field - Property input
+   * @returns {string} Error message, or an empty string when valid
+   */
+  getPropertyError(field) {
+    const strings = this.getPropertyStrings();
+
+    if (field.type === 'checkbox') {
+      return field.required && !field.checked ? strings.required : '';
+    }
+
+    if (field.type === 'file') {
+      const file = field.files && field.files[0];
+      if (!file) return field.required ? strings.required : '';
+
+      if (!this.isAcceptedFile(file, field.accept)) {
+        return strings.fileType;
+      }
+
+      if (file.size > this.config.propertyFileMaxSize * 1024 * 1024) {
+        return window.cartUtils.interpolate(strings.fileTooLarge, { size: this.config.propertyFileMaxSize });
+      }
+
+      return '';
+    }
+
+    const value = field.value.trim();
+    if (field.required && !value) return strings.required;
+
+    if (field.type === 'email' && value && field.validity.typeMismatch) {
+      return strings.email;
+    }
+
+    if (field.type === 'date' && value && ((field.min && value < field.min) || (field.max && value > field.max))) {
+      return strings.sendOn;
+    }
+
+    if (field.maxLength > 0 && field.value.length > field.maxLength) {
+      return window.cartUtils.interpolate(strings.tooLong, { max: field.maxLength });
+    }
+
+    return '';
+  },
+
+  /**
+   * Check a file against an input's accept attribute
+   * @param {File} file - Selected file
+   * @param {string} accept - Accepted extensions and MIME types
+   * @returns {boolean} True when the file is accepted
+   */
+  isAcceptedFile(file, accept) {
+    const rules = (accept || '').split(',').map(rule => rule.trim().toLowerCase()).filter(Boolean);
+    if (rules.length === 0) return true;
+
+    const name = file.name.toLowerCase();
+    const type = (file.type || '').toLowerCase();
+
+    return rules.some(rule => {
+      if (rule.startsWith('.')) return name.endsWith(rule);
+      if (rule.endsWith('/*')) return type.startsWith(rule.slice(0, -1));
+      return type === rule;
+    });
+  },
+
+  /**
+   * Show or clear the inline error for a property input
+   */
+  setPropertyError(field, message) {
+    const wrapper = field.closest('[data-line-item-property]');
+    const errorElement = wrapper && wrapper.querySelector('[data-property-error]');
+
+    field.setAttribute('aria-invalid', Boolean(message));
+
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.hidden = !message;
+    }
+  },
+
+  /**
+   * Update the character counter for a text property
+   */
+  updatePropertyCount(field) {
+    const wrapper = field.closest('[data-line-item-property]');
+    const counter = wrapper && wrapper.querySelector('[data-property-count]');
+    if (!counter || !(field.maxLength > 0)) return;
+
+    counter.textContent = window.cartUtils.interpolate(this.getPropertyStrings().characters, {
+      count: field.value.length,
+      max: field.maxLength
+    });
+  },
+
+  /**
+   * Localized property messages rendered by the product section
+   */
+  getPropertyStrings() {
+    if (!this.propertyStrings) {
+      const stringsElement = document.querySelector('[data-line-item-property-strings]');
+      this.propertyStrings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+    }
+
+    return this.propertyStrings;
+  },
+
   /**
    * Set add to cart loading state
    */
@@ -773,56 +1493,6 @@ window.productUtils = {
     this.showNotification('Failed to add product to cart. Please try again.', 'error');
   },
 
-  /**
-   * Setup wishlist functionality
-   */
-  setupWishlist() {
-    const wishlistButton = document.querySelector('[data-wishlist-toggle]');
-    if (!wishlistButton) return;
-
-    wishlistButton.addEventListener('click', () => {
-      this.toggleWishlist();
-    });
-  },
-
-  /**
-   * Toggle wishlist
-   */
-  toggleWishlist() {
-    const wishlistButton = document.querySelector('[data-wishlist-toggle]');
-    const isInWishlist = wishlistButton.classList.contains('in-wishlist');
-    
-    if (isInWishlist) {
-      this.removeFromWishlist();
-    } else {
-      this.addToWishlist();
-    }
-  },
-
-  /**
-   * Add to wishlist
-   */
-  addToWishlist() {
-    const wishlistButton = document.querySelector('[data-wishlist-toggle]');
-    wishlistButton.classList.add('in-wishlist');
-    wishlistButton.setAttribute('aria-label', 'Remove from wishlist');
-    
-    this.showNotification('Added to wishlist!', 'success');
-    this.announceToScreenReader('Added to wishlist');
-  },
-
-  /**
-   * Remove from wishlist
-   */
-  removeFromWishlist() {
-    const wishlistButton = document.querySelector('[data-wishlist-toggle]');
-    wishlistButton.classList.remove('in-wishlist');
-    wishlistButton.setAttribute('aria-label', 'Add to wishlist');
-    
-    this.showNotification('Removed from wishlist', 'info');
-    this.announceToScreenReader('Removed from wishlist');
-  },
-
   /**
    * Setup reviews functionality
    */
@@ -1141,7 +1811,7 @@ window.productUtils = {
    */
   preloadCriticalResources() {
     // Preload next image in gallery
-    const mediaItems = document.querySelectorAll('.product__media-item');
+    const mediaItems = this.getMediaItems();
     if (mediaItems.length > 1) {
       const nextIndex = (this.state.galleryIndex + 1) % mediaItems.length;
       const nextImg = mediaItems[nextIndex].querySelector('img');
@@ -1184,10 +1854,7 @@ window.productUtils = {
    * Format money
    */
   formatMoney(cents) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(cents / 100);
+    return window.moneyUtils.formatMoney(cents);
   },
 
   /**
@@ -15,6 +15,9 @@ class ProductForm extends HTMLElement {
     if (submitButton.classList.contains('loading')) return;
 
     this.handleErrorMessage();
+
+    // Engraving, gift message and other properties are checked before anything is sent
+    if (window.productUtils && !window.productUtils.validateLineItemProperties(this.form)) return;
     
     // Set active element for focus management
     if (this.cartDrawer) {
@@ -31,20 +34,17 @@ class ProductForm extends HTMLElement {
     }
 
     try {
+      // Sent as form data so properties[...] file uploads reach Shopify
       const formData = new FormData(this.form);
-      const variantId = formData.get('id');
-      const quantity = parseInt(formData.get('quantity')) || 1;
-
-      // Use the new cart utilities
-      const result = await window.cartUtils.addToCart(variantId, quantity);
+      const result = await window.cartUtils.addFormDataToCart(formData);
 
       if (result.success) {
-        // Update cart count
-        window.cartUtils.updateCartCount();
+        if (window.productUtils) {
+          window.productUtils.resetGiftCardRecipient(this.form);
+        }
 
-        // Open cart drawer if available
+        // Open cart drawer if available (it re-renders from the cart store)
         if (this.cartDrawer) {
-          await this.cartDrawer.render();
           this.cartDrawer.open();
         } else if (this.cartNotification) {
           // Fallback to notification
@@ -86,10 +86,21 @@ class VariantSelector extends HTMLElement {
   constructor() {
     super();
     this.addEventListener('change', this.onVariantChange);
+
+    this.sellingPlanPicker = document.getElementById(`SellingPlanPicker-${this.dataset.section}`);
+    if (this.sellingPlanPicker) {
+      this.sellingPlanPicker.addEventListener('change', this.onSellingPlanChange.bind(this));
+    }
+  }
+
+  connectedCallback() {
+    this.updateOptions();
+    this.updateOptionAvailability();
   }
 
   onVariantChange() {
     this.updateOptions();
+    this.updateOptionAvailability();
     this.updateMasterId();
     this.toggleAddButton(true, '', false);
     this.updatePickupAvailability();
@@ -104,6 +115,24 @@ class VariantSelector extends HTMLElement {
       this.updateVariantInput();
       this.renderProductInfo();
     }
+
+    this.updateBackInStock();
+  }
+
+  onSellingPlanChange() {
+    if (!this.currentVariant) {
+      this.updateOptions();
+      this.updateMasterId();
+    }
+    if (!this.currentVariant) return;
+
+    this.updateURL();
+    this.renderProductInfo();
+  }
+
+  getSellingPlanId() {
+    const checked = this.sellingPlanPicker && this.sellingPlanPicker.querySelector('[name="selling_plan"]:checked');
+    return checked ? checked.value : '';
   }
 
   updateOptions() {
@@ -112,6 +141,29 @@ class VariantSelector extends HTMLElement {
     });
   }
 
+  /**
+   * Mark sold-out and non-existent option values for the options chosen so far
+   */
+  updateOptionAvailability() {
+    if (!window.productUtils) return;
+
+    this.availabilityMatrix = this.availabilityMatrix || window.productUtils.buildAvailabilityMatrix(this.getVariantData());
+    this.options = window.productUtils.renderOptionAvailability(
+      this,
+      this.availabilityMatrix,
+      this.options,
+      this.getAvailabilityStrings()
+    );
+  }
+
+  getAvailabilityStrings() {
+    if (!this.availabilityStrings) {
+      const stringsElement = this.querySelector('[data-option-availability-strings]');
+      this.availabilityStrings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+    }
+    return this.availabilityStrings;
+  }
+
   updateMasterId() {
     this.currentVariant = this.getVariantData().find(variant => {
       return !variant.options.map((option, index) => {
@@ -121,25 +173,17 @@ class VariantSelector extends HTMLElement {
   }
 
   updateMedia() {
-    if (!this.currentVariant) return;
-    if (!this.currentVariant.featured_media) return;
-
-    const mediaGallery = document.querySelector(`[id^="MediaGallery-${this.dataset.section}"]`);
-    if (!mediaGallery) return;
-
-    const mediaId = `${this.dataset.section}-${this.currentVariant.featured_media.id}`;
-    const activeMedia = mediaGallery.querySelector(`[data-media-id="${mediaId}"]`);
-    if (!activeMedia) return;
+    // The gallery, its variant media groups and the lightbox live in productUtils
+    if (!this.currentVariant || !window.productUtils) return;
 
-    mediaGallery.querySelectorAll('[data-media-id]').forEach((item) => {
-      item.classList.remove('active');
-    });
-    activeMedia.classList.add('active');
+    window.productUtils.updateVariantMedia(this.currentVariant);
   }
 
   updateURL() {
     if (!this.currentVariant || this.dataset.updateUrl === 'false') return;
-    window.history.replaceState({}, '', `${this.dataset.url}?variant=${this.currentVariant.id}`);
+    const sellingPlanId = this.getSellingPlanId();
+    const sellingPlanParam = sellingPlanId ? `&selling_plan=${sellingPlanId}` : '';
+    window.history.replaceState({}, '', `${this.dataset.url}?variant=${this.currentVariant.id}${sellingPlanParam}`);
   }
 
   updateVariantInput() {
@@ -171,7 +215,10 @@ class VariantSelector extends HTMLElement {
   }
 
   renderProductInfo() {
-    fetch(`${this.dataset.url}?variant=${this.currentVariant.id}&section_id=${this.dataset.section}`)
+    const sellingPlanId = this.getSellingPlanId();
+    const sellingPlanParam = sellingPlanId ? `&selling_plan=${sellingPlanId}` : '';
+
+    fetch(`${this.dataset.url}?variant=${this.currentVariant.id}${sellingPlanParam}&section_id=${this.dataset.section}`)
       .then((response) => response.text())
       .then((responseText) => {
         const html = new DOMParser().parseFromString(responseText, 'text/html');
@@ -179,6 +226,8 @@ class VariantSelector extends HTMLElement {
         const source = html.getElementById(`price-${this.dataset.section}`);
         if (source && destination) destination.innerHTML = source.innerHTML;
 
+        this.updateSellingPlanPrices(html);
+
         const price = document.getElementById(`price-${this.dataset.section}`);
 
         if (price) price.classList.remove('visibility-hidden');
@@ -186,6 +235,24 @@ class VariantSelector extends HTMLElement {
       });
   }
 
+  updateSellingPlanPrices(html) {
+    if (!this.sellingPlanPicker) return;
+
+    const source = html.getElementById(`SellingPlanPicker-${this.dataset.section}`);
+    if (!source) return;
+
+    // Plan prices and availability depend on the variant
+    this.sellingPlanPicker.querySelectorAll('[data-selling-plan-price]').forEach((price) => {
+      const sourcePrice = source.querySelector(`[data-selling-plan-price="${price.dataset.sellingPlanPrice}"]`);
+      if (sourcePrice) price.innerHTML = sourcePrice.innerHTML;
+    });
+
+    this.sellingPlanPicker.querySelectorAll('[name="selling_plan"]').forEach((input) => {
+      const sourceInput = source.querySelector(`[name="selling_plan"][value="${input.value}"]`);
+      if (sourceInput) input.disabled = sourceInput.disabled;
+    });
+  }
+
   toggleAddButton(disable = true, text, modifyClass = true) {
     const productForm = document.getElementById(`product-form-${this.dataset.section}`);
     if (!productForm) return;
@@ -213,63 +280,353 @@ class VariantSelector extends HTMLElement {
     button.textContent = window.variantStrings.unavailable;
   }
 
+  updateBackInStock() {
+    const backInStockForm = document.querySelector('back-in-stock-form');
+    if (backInStockForm) backInStockForm.update(this.currentVariant);
+  }
+
   getVariantData() {
-    this.variantData = this.variantData || JSON.parse(this.querySelector('[data-variants-json]').textContent);
+    // The variants JSON is rendered next to the selector inside the product form
+    const variantsScript = this.querySelector('[data-variants-json]') || this.closest('form').querySelector('[data-variants-json]');
+    this.variantData = this.variantData || JSON.parse(variantsScript.textContent);
     return this.variantData;
   }
 }
 
 customElements.define('variant-selector', VariantSelector);
 
+// Back in stock signup
+// Offered only while the selected variant is sold out; signups go through window.backInStock
+class BackInStockForm extends HTMLElement {
+  constructor() {
+    super();
+    this.form = this.querySelector('form');
+    this.variantInput = this.form.querySelector('[name="variant_id"]');
+    this.emailInput = this.form.querySelector('[name="email"]');
+    this.consentInput = this.form.querySelector('[name="consent"]');
+    this.submitButton = this.form.querySelector('[type="submit"]');
+    this.errorElement = this.querySelector('[data-back-in-stock-error]');
+    this.successElement = this.querySelector('[data-back-in-stock-success]');
+    this.strings = JSON.parse(this.querySelector('[data-back-in-stock-strings]').textContent);
+
+    this.form.addEventListener('submit', this.onSubmit.bind(this));
+    this.emailInput.addEventListener('input', () => this.setError());
+  }
+
+  connectedCallback() {
+    this.renderState();
+  }
+
+  /**
+   * Follow the selected variant: shown for sold-out variants, hidden for
+   * variants in stock and for combinations that do not exist
+   * @param {Object|null} variant - Selected variant
+   */
+  update(variant) {
+    this.hidden = !variant || variant.available;
+    if (variant) this.variantInput.value = variant.id;
+
+    this.setError();
+    this.renderState();
+  }
+
+  renderState() {
+    const subscribed = window.backInStock.isSubscribed(this.variantInput.value);
+    this.form.hidden = subscribed;
+    this.successElement.hidden = !subscribed;
+  }
+
+  async onSubmit(event) {
+    event.preventDefault();
+    if (this.submitting) return;
+
+    const email = this.emailInput.value.trim();
+    const error = !email ? this.strings.required : !window.backInStock.validateEmail(email) ? this.strings.invalidEmail : '';
+
+    if (error) {
+      this.setError(error);
+      this.emailInput.focus();
+      return;
+    }
+
+    this.submitting = true;
+    this.submitButton.disabled = true;
+    this.submitButton.setAttribute('aria-busy', 'true');
+
+    const result = await window.backInStock.subscribe(this.form.getAttribute('action'), {
+      email,
+      variantId: this.variantInput.value,
+      productId: this.dataset.productId,
+      locale: this.dataset.locale,
+      consent: this.consentInput && this.consentInput.checked
+    });
+
+    this.submitting = false;
+    this.submitButton.disabled = false;
+    this.submitButton.removeAttribute('aria-busy');
+
+    if (result.success) {
+      this.renderState();
+      this.successElement.focus();
+    } else {
+      this.setError(result.error === 'invalid_email' ? this.strings.invalidEmail : this.strings.error);
+    }
+  }
+
+  setError(message = '') {
+    this.errorElement.textContent = message;
+    this.errorElement.hidden = !message;
+    this.emailInput.setAttribute('aria-invalid', Boolean(message));
+  }
+}
+
+customElements.define('back-in-stock-form', BackInStockForm);
+
 // Quantity selector
+// Follows the selected variant's quantity rule (min, max, increment) and lists its volume price breaks
 class QuantityInput extends HTMLElement {
   constructor() {
     super();
     this.input = this.querySelector('input');
     this.changeEvent = new Event('change', { bubbles: true });
+    this.variantInput = this.input.form && this.input.form.querySelector('[name="id"]');
 
     this.querySelectorAll('button').forEach(
       (button) => button.addEventListener('click', this.onButtonClick.bind(this))
     );
+    this.input.addEventListener('change', this.onInputChange.bind(this));
+
+    if (this.variantInput) {
+      this.variantInput.addEventListener('change', this.onVariantChange.bind(this));
+    }
+  }
+
+  connectedCallback() {
+    this.onVariantChange();
+  }
+
+  getRule() {
+    return window.cartUtils.getQuantityRule(this.variantInput && this.variantInput.value);
   }
 
   onButtonClick(event) {
     event.preventDefault();
     const previousValue = this.input.value;
+    const direction = event.currentTarget.name === 'plus' ? 1 : -1;
 
-    event.target.name === 'plus' ? this.input.stepUp() : this.input.stepDown();
+    this.input.value = window.cartUtils.stepQuantity(this.input.value, this.getRule(), direction);
     if (previousValue !== this.input.value) this.input.dispatchEvent(this.changeEvent);
   }
+
+  onInputChange() {
+    const quantity = window.cartUtils.normalizeQuantity(this.input.value, this.getRule());
+    if (String(quantity) !== this.input.value) this.input.value = quantity;
+
+    this.renderVolumePricing();
+  }
+
+  onVariantChange() {
+    const rule = this.getRule();
+
+    this.input.min = rule.min;
+    this.input.step = rule.increment;
+    if (rule.max) {
+      this.input.max = rule.max;
+    } else {
+      this.input.removeAttribute('max');
+    }
+    this.input.value = window.cartUtils.normalizeQuantity(this.input.value, rule);
+
+    const info = this.querySelector('[data-quantity-rule-info]');
+    if (info) {
+      info.textContent = window.cartUtils.describeQuantityRule(rule);
+      info.hidden = !info.textContent;
+    }
+
+    this.renderVolumePricing();
+  }
+
+  renderVolumePricing() {
+    const container = this.querySelector('[data-volume-pricing]');
+    if (!container) return;
+
+    const rule = this.getRule();
+    const variant = this.getVariant();
+    container.hidden = rule.priceBreaks.length === 0 || !variant;
+    if (container.hidden) return;
+
+    const strings = window.cartUtils.getQuantityRuleStrings();
+    const quantity = parseInt(this.input.value, 10) || rule.min;
+    const baseTiers = rule.priceBreaks.some(tier => tier.minimumQuantity <= rule.min) ? [] : [{ minimumQuantity: rule.min, price: variant.price }];
+    const tiers = [...baseTiers, ...rule.priceBreaks].sort((a, b) => a.minimumQuantity - b.minimumQuantity);
+
+    // The highest tier reached is the one Shopify charges
+    const activeTier = tiers.filter(tier => quantity >= tier.minimumQuantity).pop();
+
+    container.querySelector('[data-volume-pricing-list]').innerHTML = tiers.map(tier => `
+      <li class="product__volume-pricing-tier${tier === activeTier ? ' product__volume-pricing-tier--active' : ''}"${tier === activeTier ? ' aria-current="true"' : ''}>
+        <span>${strings.tier.replace('{{ quantity }}', tier.minimumQuantity)}</span>
+        <span>${strings.priceEach.replace('{{ price }}', window.moneyUtils.formatMoney(tier.price))}</span>
+      </li>
+    `).join('');
+  }
+
+  getVariant() {
+    const variantsElement = (this.closest('.product') || document).querySelector('[data-variants-json]');
+    if (!variantsElement || !this.variantInput) return null;
+
+    this.variants = this.variants || JSON.parse(variantsElement.textContent);
+    return this.variants.find(variant => String(variant.id) === this.variantInput.value);
+  }
 }
 
 customElements.define('quantity-input', QuantityInput);
 
-// Media gallery navigation
-document.addEventListener('DOMContentLoaded', function() {
-  const mediaGallery = document.querySelector('[data-media-gallery]');
-  if (!mediaGallery) return;
-  
-  const mediaItems = mediaGallery.querySelectorAll('.product__media-item');
-  const thumbnails = mediaGallery.querySelectorAll('.product__media-thumbnail');
-  
-  thumbnails.forEach(thumbnail => {
-    thumbnail.addEventListener('click', (e) => {
-      e.preventDefault();
-      const mediaId = thumbnail.dataset.mediaId;
-      
-      // Show selected media
-      mediaItems.forEach(item => {
-        item.classList.remove('active');
-        if (item.dataset.mediaId === mediaId) {
-          item.classList.add('active');
-        }
-      });
-      
-      // Update active thumbnail
-      thumbnails.forEach(thumb => {
-        thumb.classList.remove('active');
-      });
-      thumbnail.classList.add('active');
+/**
+ * Bundle Builder
+ * Product cards from sections/bundle-products.liquid that are added to the cart
+ * together, with a variant picker per slot and a live bundle price
+ */
+class BundleBuilder extends HTMLElement {
+  constructor() {
+    super();
+    this.discount = parseFloat(this.dataset.bundleDiscount) || 0;
+    this.redirectUrl = this.dataset.redirectUrl;
+    this.addButton = this.querySelector('[data-bundle-add]');
+    this.errorElement = this.querySelector('[data-bundle-error]');
+
+    const stringsElement = this.querySelector('[data-bundle-strings]');
+    this.strings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+
+    this.slots = Array.from(this.querySelectorAll('[data-bundle-slot]')).map(element => {
+      const variantsElement = element.querySelector('[data-bundle-variants]');
+
+      return {
+        element,
+        variantInput: element.querySelector('[data-bundle-variant]'),
+        includeInput: element.querySelector('[data-bundle-include]'),
+        priceElement: element.querySelector('[data-bundle-slot-price]'),
+        variants: variantsElement ? JSON.parse(variantsElement.textContent) : []
+      };
+    });
+
+    this.addEventListener('change', (e) => {
+      if (e.target.closest('[data-bundle-variant], [data-bundle-include]')) {
+        this.setError();
+        this.render();
+      }
     });
-  });
-});
+    this.addButton.addEventListener('click', this.handleAdd.bind(this));
+  }
+
+  connectedCallback() {
+    this.render();
+  }
+
+  getVariant(slot) {
+    return slot.variants.find(variant => String(variant.id) === slot.variantInput.value);
+  }
+
+  isIncluded(slot) {
+    return !slot.includeInput || slot.includeInput.checked;
+  }
+
+  /**
+   * Variants currently chosen for the slots that are part of the bundle
+   * @returns {Array} Variant objects
+   */
+  getSelection() {
+    return this.slots
+      .filter(slot => this.isIncluded(slot))
+      .map(slot => this.getVariant(slot))
+      .filter(Boolean);
+  }
+
+  /**
+   * Prices in cents for a selection
+   * The compare total counts each item at its compare-at price when it has one,
+   * so savings include both sale prices and the bundle discount
+   * @param {Array} selection - Variant objects
+   * @returns {Object} total, compareTotal, bundlePrice and savings
+   */
+  getTotals(selection) {
+    const total = selection.reduce((sum, variant) => sum + variant.price, 0);
+    const compareTotal = selection.reduce((sum, variant) => sum + Math.max(variant.compare_at_price, variant.price), 0);
+    const bundlePrice = Math.round(total * (100 - this.discount) / 100);
+
+    return { total, compareTotal, bundlePrice, savings: compareTotal - bundlePrice };
+  }
+
+  render() {
+    this.slots.forEach(slot => {
+      const variant = this.getVariant(slot);
+
+      slot.element.classList.toggle('product-card--excluded', !this.isIncluded(slot));
+      if (variant && slot.priceElement) {
+        slot.priceElement.innerHTML = `${variant.compare_at_price > variant.price ? `<span class="compare-price">${this.formatMoney(variant.compare_at_price)}</span>` : ''}${this.formatMoney(variant.price)}`;
+      }
+    });
+
+    const selection = this.getSelection();
+    const { compareTotal, bundlePrice, savings } = this.getTotals(selection);
+    const unavailable = selection.some(variant => !variant.available);
+
+    const totalElement = this.querySelector('[data-bundle-total]');
+    const compareElement = this.querySelector('[data-bundle-compare-total]');
+    const savingsElement = this.querySelector('[data-bundle-savings]');
+
+    totalElement.textContent = this.formatMoney(bundlePrice);
+    compareElement.textContent = this.formatMoney(compareTotal);
+    compareElement.hidden = savings <= 0;
+    savingsElement.textContent = savings > 0 ? this.strings.savings.replace('{{ amount }}', this.formatMoney(savings)) : '';
+    savingsElement.hidden = savings <= 0;
+
+    if (!this.adding) {
+      this.addButton.disabled = unavailable || selection.length === 0;
+      this.addButton.textContent = unavailable ? this.strings.unavailable : this.strings.addBundle;
+    }
+  }
+
+  async handleAdd() {
+    const items = this.getSelection().map(variant => ({ id: variant.id, quantity: 1 }));
+    if (items.length === 0 || this.adding) return;
+
+    this.adding = true;
+    this.addButton.disabled = true;
+    this.addButton.textContent = this.strings.adding;
+    this.setError();
+
+    // Lines that made it into the cart before a failure are removed again by addBundleToCart
+    const result = await window.cartUtils.addBundleToCart(items);
+
+    if (result.success) {
+      this.addButton.textContent = this.strings.added;
+
+      if (this.redirectUrl) {
+        window.location.href = this.redirectUrl;
+        return;
+      }
+
+      window.cartUtils.openCartDrawer();
+      setTimeout(() => {
+        this.adding = false;
+        this.render();
+      }, 1500);
+    } else {
+      this.adding = false;
+      this.setError(result.error || this.strings.error);
+      this.render();
+    }
+  }
+
+  setError(message = '') {
+    this.errorElement.textContent = message;
+    this.errorElement.hidden = !message;
+  }
+
+  formatMoney(cents) {
+    return window.moneyUtils.formatMoney(cents);
+  }
+}
+
+customElements.define('bundle-builder', BundleBuilder);
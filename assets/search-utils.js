@@ -508,7 +508,7 @@ window.searchUtils = {
               <div class="search-autocomplete__item-title">${this.highlightQuery(suggestion.title, query)}</div>
               <div class="search-autocomplete__item-meta">
                 ${suggestion.vendor ? `<span class="search-autocomplete__item-vendor">${suggestion.vendor}</span>` : ''}
-                ${suggestion.price ? `<span class="search-autocomplete__item-price">${suggestion.price}</span>` : ''}
+                ${suggestion.price ? `<span class="search-autocomplete__item-price">${this.formatPrice(suggestion.price)}</span>` : ''}
               </div>
             </div>
           </div>
@@ -630,6 +630,17 @@ window.searchUtils = {
 
     // Add event listeners for quick actions
     this.setupResultEventListeners();
+
+    if (window.wishlist) {
+      window.wishlist.renderButtons(container);
+    }
+  },
+
+  /**
+   * Format a price from the search APIs, which return decimal amounts such as "19.99"
+   */
+  formatPrice(price) {
+    return window.moneyUtils.formatMoney(window.moneyUtils.toCents(price));
   },
 
   /**
@@ -651,21 +662,44 @@ window.searchUtils = {
           </h3>
           <div class="search-result__meta">
             ${result.vendor ? `<span class="search-result__vendor">${result.vendor}</span>` : ''}
-            ${result.price ? `<span class="search-result__price">${result.price}</span>` : ''}
+            ${result.price ? `<span class="search-result__price">${this.formatPrice(result.price)}</span>` : ''}
           </div>
           <div class="search-result__actions">
             <button class="search-result__quick-add" data-product-id="${result.id}">
               Quick Add
             </button>
-            <button class="search-result__wishlist" data-product-id="${result.id}">
-              ♥
-            </button>
+            ${this.renderWishlistButton(result)}
           </div>
         </div>
       </div>
     `;
   },
 
+  /**
+   * Render the shared wishlist toggle for a search result
+   * assets/wishlist.js handles the click, so it reads the same data attributes
+   * as snippets/wishlist-button.liquid
+   */
+  renderWishlistButton(result) {
+    if (!window.wishlist || !window.wishlist.isEnabled()) return '';
+
+    const variant = (result.variants || [])[0];
+    const escape = window.cartUtils.escapeHtml;
+
+    return `
+            <button type="button" class="search-result__wishlist" aria-pressed="false"
+                    data-wishlist-toggle
+                    data-product-id="${escape(result.id)}"
+                    data-variant-id="${escape(variant ? variant.id : '')}"
+                    data-product-handle="${escape(result.handle)}"
+                    data-product-title="${escape(result.title)}"
+                    data-product-url="${escape(result.url)}"
+                    data-product-image="${escape(result.featured_image)}"
+                    data-product-price="${escape(result.price ? window.moneyUtils.toCents(result.price) : '')}">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg>
+            </button>`;
+  },
+
   /**
    * Render no results state
    */
@@ -700,14 +734,6 @@ window.searchUtils = {
         this.handleQuickAdd(button.dataset.productId);
       });
     });
-
-    // Wishlist buttons
-    document.querySelectorAll('.search-result__wishlist').forEach(button => {
-      button.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.handleWishlist(button.dataset.productId);
-      });
-    });
   },
 
   /**
@@ -727,14 +753,6 @@ window.searchUtils = {
     }
   },
 
-  /**
-   * Handle wishlist
-   */
-  handleWishlist(productId) {
-    // Implement wishlist functionality
-    this.showNotification('Added to wishlist!', 'success');
-  },
-
   /**
    * Show notification
    */
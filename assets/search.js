@@ -91,13 +91,6 @@ class SearchSystem {
       }
     });
 
-    // Wishlist toggle
-    document.addEventListener('click', (event) => {
-      if (event.target.matches('[data-wishlist-toggle]')) {
-        this.handleWishlistToggle(event.target);
-      }
-    });
-
     // Close predictive search
     document.addEventListener('click', (event) => {
       if (!event.target.closest('.predictive-search') && !event.target.closest('[data-search-input]')) {
@@ -666,10 +659,7 @@ class SearchSystem {
   }
 
   formatMoney(cents) {
-    return new Intl.NumberFormat('pt-BR', {
-      style: 'currency',
-      currency: 'BRL'
-    }).format(cents / 100);
+    return window.moneyUtils.formatMoney(cents);
   }
 
   // New methods for enhanced search functionality
@@ -811,29 +801,11 @@ class SearchSystem {
     }
   }
 
-  handleWishlistToggle(button) {
-    const productId = button.dataset.productId;
-    
-    if (productId) {
-      // Toggle wishlist logic
-      this.toggleWishlist(productId);
-    }
-  }
-
   async addToCart(variantId, quantity) {
     try {
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          id: variantId,
-          quantity: quantity
-        })
-      });
+      const result = await window.cartUtils.addToCart(variantId, quantity);
       
-      if (response.ok) {
+      if (result.success) {
         // Show success message
         this.showNotification('Product added to cart', 'success');
       } else {
@@ -845,11 +817,6 @@ class SearchSystem {
     }
   }
 
-  toggleWishlist(productId) {
-    // Implement wishlist toggle logic
-    console.log('Toggle wishlist for product:', productId);
-  }
-
   showNotification(message, type = 'info') {
     // Create and show notification
     const notification = document.createElement('div');
@@ -0,0 +1,242 @@
+/**
+ * Wishlist - Products a shopper wants to come back to
+ * A PersistedList (assets/persisted-list.js) kept in localStorage and, for
+ * logged-in customers, synced to a customer metafield through the app proxy
+ * configured in theme settings.
+ * Every [data-wishlist-toggle] button on the product page, search results and
+ * collection cards goes through this module, so their states stay in step
+ */
+
+class Wishlist extends PersistedList {
+  constructor() {
+    super({
+      name: 'Wishlist',
+      configId: 'wishlist-config',
+      storageKey: 'wishlist:items',
+      eventName: 'wishlist:updated',
+      timestampKey: 'addedAt'
+    });
+  }
+
+  getItemId(item) {
+    return String(item.productId);
+  }
+
+  notify() {
+    super.notify();
+    this.renderButtons();
+  }
+
+  has(productId) {
+    return this.items.some(item => String(item.productId) === String(productId));
+  }
+
+  /**
+   * Build a wishlist item from a toggle button's data attributes
+   * @param {HTMLElement} button - [data-wishlist-toggle] button
+   * @returns {Object} Wishlist item
+   */
+  fromButton(button) {
+    const { productId, productHandle, productTitle, productUrl, productImage, productPrice, variantId } = button.dataset;
+
+    return {
+      productId: Number(productId),
+      variantId: Number(variantId) || null,
+      handle: productHandle,
+      title: productTitle,
+      url: productUrl,
+      image: productImage || '',
+      price: Number(productPrice) || 0,
+      addedAt: Date.now()
+    };
+  }
+
+  /**
+   * Add a product to the wishlist
+   * @param {Object} item - Wishlist item
+   */
+  add(item) {
+    const items = this.items.filter(entry => String(entry.productId) !== String(item.productId));
+    this.setItems([{ ...item, addedAt: Date.now() }, ...items]);
+  }
+
+  /**
+   * Remove a product from the wishlist
+   * @param {number|string} productId - Product ID
+   */
+  remove(productId) {
+    this.setItems(this.items.filter(item => String(item.productId) !== String(productId)));
+  }
+
+  /**
+   * Add the product if it is not on the wishlist, remove it otherwise
+   * @param {Object} item - Wishlist item
+   * @returns {boolean} True when the product is on the wishlist afterwards
+   */
+  toggle(item) {
+    if (this.has(item.productId)) {
+      this.remove(item.productId);
+      return false;
+    }
+
+    this.add(item);
+    return true;
+  }
+
+  /**
+   * Show each toggle button's state
+   * @param {HTMLElement|Document} root - Element holding the buttons
+   */
+  renderButtons(root = document) {
+    const strings = (this.getConfig() || {}).strings || {};
+
+    root.querySelectorAll('[data-wishlist-toggle]').forEach(button => {
+      const inWishlist = this.has(button.dataset.productId);
+      const label = inWishlist ? strings.remove : strings.add;
+      const labelElement = button.querySelector('[data-wishlist-label]');
+
+      button.classList.toggle('in-wishlist', inWishlist);
+      button.setAttribute('aria-pressed', String(inWishlist));
+      if (!label) return;
+
+      button.setAttribute('aria-label', button.dataset.productTitle ? `${label}: ${button.dataset.productTitle}` : label);
+      if (labelElement) labelElement.textContent = label;
+    });
+  }
+
+  handleToggle(e) {
+    const button = e.target.closest('[data-wishlist-toggle]');
+    if (!button) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    this.toggle(this.fromButton(button));
+  }
+
+  /**
+   * Handle toggle buttons everywhere on the page, then load the wishlist
+   */
+  init() {
+    if (!this.getConfig()) return;
+
+    // Capture phase, so card links and quick add handlers around the button do not react
+    document.addEventListener('click', (e) => this.handleToggle(e), true);
+
+    super.init();
+  }
+}
+
+window.wishlist = new Wishlist();
+
+// Wishlist page items
+class WishlistItems extends HTMLElement {
+  constructor() {
+    super();
+    this.errors = {};
+    this.added = {};
+
+    const stringsElement = this.querySelector('[data-wishlist-strings]');
+    this.strings = stringsElement ? JSON.parse(stringsElement.textContent) : {};
+
+    this.addEventListener('click', (e) => {
+      if (e.target.closest('[data-wishlist-add-to-cart]')) {
+        this.handleAddToCart(e);
+      } else if (e.target.closest('[data-wishlist-remove]')) {
+        this.handleRemove(e);
+      }
+    });
+  }
+
+  connectedCallback() {
+    this.unsubscribe = window.wishlist.subscribe(() => this.render());
+    this.render();
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  render() {
+    const items = window.wishlist.getItems();
+    const list = this.querySelector('[data-wishlist-list]');
+    const empty = this.querySelector('[data-wishlist-empty]');
+
+    if (empty) empty.hidden = items.length > 0;
+    if (list) {
+      list.hidden = items.length === 0;
+      list.innerHTML = items.map(item => this.renderItem(item)).join('');
+    }
+  }
+
+  renderItem(item) {
+    const error = this.errors[item.productId];
+    const escape = window.cartUtils.escapeHtml;
+    const title = escape(item.title);
+
+    return `
+      <li class="wishlist__item" data-wishlist-product-id="${escape(item.productId)}">
+        <a href="${escape(item.url)}" class="wishlist__image" tabindex="-1" aria-hidden="true">
+          ${item.image ? `<img src="${escape(item.image)}" alt="" width="300" height="300" loading="lazy">` : ''}
+        </a>
+
+        <div class="wishlist__details">
+          <a href="${escape(item.url)}" class="wishlist__item-title">${title}</a>
+          ${item.price ? `<span class="wishlist__price">${this.formatMoney(item.price)}</span>` : ''}
+          ${error ? `<span class="wishlist__error" role="alert">${error}</span>` : ''}
+
+          <div class="wishlist__actions">
+            ${item.variantId ? `
+              <button type="button" class="button button--primary wishlist__add" data-wishlist-add-to-cart>
+                ${this.added[item.productId] ? this.strings.added : this.strings.addToCart}
+              </button>
+            ` : ''}
+            <button type="button" class="link wishlist__remove" data-wishlist-remove aria-label="${escape(`${this.strings.remove}: ${item.title}`)}">
+              ${this.strings.remove}
+            </button>
+          </div>
+        </div>
+      </li>
+    `;
+  }
+
+  async handleAddToCart(e) {
+    const button = e.target.closest('[data-wishlist-add-to-cart]');
+    const productId = button.closest('[data-wishlist-product-id]').dataset.wishlistProductId;
+    const item = window.wishlist.getItems().find(entry => String(entry.productId) === productId);
+    if (!item) return;
+
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+    delete this.errors[productId];
+
+    const result = await window.cartUtils.addToCart(item.variantId, 1);
+
+    if (result.success) {
+      this.added[productId] = true;
+    } else {
+      this.errors[productId] = this.strings.error;
+    }
+
+    this.render();
+  }
+
+  handleRemove(e) {
+    const productId = e.target.closest('[data-wishlist-product-id]').dataset.wishlistProductId;
+    delete this.errors[productId];
+    delete this.added[productId];
+    window.wishlist.remove(productId);
+  }
+
+  formatMoney(cents) {
+    return window.moneyUtils.formatMoney(cents);
+  }
+}
+
+customElements.define('wishlist-items', WishlistItems);
+
+document.addEventListener('DOMContentLoaded', function() {
+  window.wishlist.init();
+});
@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const vm = require('vm');
 
 class ThemeTester {
   constructor() {
@@ -106,6 +107,8 @@ class ThemeTester {
       await this.testSecurity();
       await this.testTranslations();
       await this.testSchemaValidation();
+      await this.testExpressCheckout();
+      await this.testBackInStock();
       
       this.generateReport();
     } catch (error) {
@@ -510,9 +513,194 @@ class ThemeTester {
     }
   }
 
+  /**
+   * Test express checkout against a stubbed wallet element
+   */
+  async testExpressCheckout() {
+    console.log('💳 Testing express checkout...');
+
+    try {
+      const wallet = this.createWalletStub();
+      const listeners = {};
+      const drawer = { isOpen: true, containers: [], addEventListener() {}, querySelectorAll() { return this.containers; } };
+      const sandbox = this.loadAssets(['express-checkout.js'], {
+        Shopify: { StorefrontExpressButtons: { initialize: () => wallet.draw() } },
+        document: {
+          addEventListener: (type, listener) => { listeners[type] = listener; },
+          querySelector: selector => (selector === 'cart-drawer' ? drawer : null)
+        }
+      });
+      const expressCheckout = sandbox.expressCheckout;
+      expressCheckout.config.pollInterval = 5;
+      expressCheckout.config.renderTimeout = 50;
+
+      const ready = this.createContainerStub(wallet);
+      const rendered = await expressCheckout.render(ready, { timeout: 100 });
+      this.check(rendered && ready.dataset.expressCheckoutState === 'ready' && !ready.hidden,
+        'Express checkout shows the drawer wallets once Shopify renders them');
+      this.check(ready.states.join(',') === 'loading,ready',
+        'Express checkout reports loading before ready');
+
+      const silent = this.createContainerStub(this.createWalletStub());
+      await expressCheckout.render(silent, { timeout: 20 });
+      this.check(silent.dataset.expressCheckoutState === 'unavailable' && silent.hidden,
+        'Express checkout hides wallets that never render');
+
+      const empty = this.createContainerStub(null);
+      await expressCheckout.render(empty);
+      this.check(empty.dataset.expressCheckoutState === 'unavailable' && empty.hidden,
+        'Express checkout hides containers without wallet markup');
+
+      // A cart change swaps in new drawer markup, whose wallets start undrawn
+      const replaced = this.createContainerStub(this.createWalletStub());
+      drawer.containers = [replaced];
+      expressCheckout.init();
+      listeners['cart:drawer-rendered']();
+      this.check(replaced.states[0] === 'loading',
+        'Express checkout renders the wallets again after the drawer re-renders');
+    } catch (error) {
+      this.fail(`Error testing express checkout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test back-in-stock signups against a stubbed signup endpoint
+   */
+  async testBackInStock() {
+    console.log('🔔 Testing back-in-stock signups...');
+
+    try {
+      const endpoint = this.createEndpointStub();
+      const sandbox = this.loadAssets(['contact-utils.js', 'back-in-stock.js'], {
+        fetch: endpoint.fetch,
+        localStorage: this.createStorageStub(),
+        Shopify: { locale: 'pt-BR' }
+      });
+      const backInStock = sandbox.backInStock;
+      const signup = { email: 'shopper@example.com', variantId: '123', productId: '45', consent: true };
+
+      const invalid = await backInStock.subscribe('/apps/back-in-stock', { ...signup, email: 'shopper@example' });
+      this.check(!invalid.success && invalid.error === 'invalid_email' && endpoint.requests.length === 0,
+        'Back in stock rejects emails the contact form rules reject');
+
+      const result = await backInStock.subscribe('/apps/back-in-stock', signup);
+      const request = endpoint.requests[0] || {};
+      this.check(result.success && request.url === '/apps/back-in-stock',
+        'Back in stock posts signups to the configured endpoint');
+      this.check(JSON.stringify(request.body) === JSON.stringify({
+        email: 'shopper@example.com', variant_id: 123, product_id: 45, locale: 'pt-BR', consent: true
+      }), 'Back in stock sends the variant id, locale and consent flag');
+      this.check(backInStock.isSubscribed(123) && !backInStock.isSubscribed(456),
+        'Back in stock remembers subscribed variants');
+
+      endpoint.status = 500;
+      const failed = await backInStock.subscribe('/apps/back-in-stock', { ...signup, variantId: '456' });
+      this.check(!failed.success && !backInStock.isSubscribed(456),
+        'Back in stock does not remember signups the endpoint rejected');
+    } catch (error) {
+      this.fail(`Error testing back-in-stock signups: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stubs
+   */
+  createEndpointStub() {
+    const endpoint = {
+      status: 200,
+      requests: [],
+      fetch: async (url, options = {}) => {
+        endpoint.requests.push({ url, body: JSON.parse(options.body) });
+        return { ok: endpoint.status < 400, status: endpoint.status, json: async () => ({}) };
+      }
+    };
+
+    return endpoint;
+  }
+
+  createStorageStub() {
+    const values = new Map();
+
+    return {
+      getItem: key => (values.has(key) ? values.get(key) : null),
+      setItem: (key, value) => values.set(key, String(value)),
+      removeItem: key => values.delete(key)
+    };
+  }
+
+  createWalletStub() {
+    // Stands in for shopify-accelerated-checkout, which draws its button after initialisation
+    return {
+      childElementCount: 0,
+      shadowRoot: null,
+      draw() {
+        this.childElementCount = 1;
+      },
+      getBoundingClientRect: () => ({ height: 0 })
+    };
+  }
+
+  createContainerStub(wallet) {
+    return {
+      dataset: {},
+      hidden: false,
+      states: [],
+      querySelector: () => wallet,
+      querySelectorAll: () => (wallet ? [wallet] : []),
+      dispatchEvent(event) {
+        this.states.push(event.detail.state);
+      }
+    };
+  }
+
+  /**
+   * Run theme assets with stubbed browser globals
+   * @param {Array<string>} assets - Files in assets/, loaded in order
+   * @param {Object} globals - Stubs such as Shopify or fetch
+   * @returns {Object} The sandbox window
+   */
+  loadAssets(assets, globals = {}) {
+    const sandbox = {
+      console,
+      setTimeout,
+      clearTimeout,
+      CustomEvent: class CustomEvent {
+        constructor(type, options = {}) {
+          this.type = type;
+          this.detail = options.detail;
+        }
+      },
+      document: {
+        documentElement: { lang: 'en' },
+        addEventListener() {},
+        dispatchEvent() {},
+        querySelector: () => null,
+        querySelectorAll: () => []
+      },
+      ...globals
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    assets.forEach(asset => {
+      const file = path.join(this.themePath, 'assets', asset);
+      vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+
+    return sandbox;
+  }
+
   /**
    * Helper methods
    */
+  check(condition, message) {
+    if (condition) {
+      this.pass(message);
+    } else {
+      this.fail(message);
+    }
+  }
+
   findFiles(extension) {
     const files = [];
     const searchPath = this.themePath;